@@ -0,0 +1,228 @@
+// File: lib/allocation.js
+import crypto from 'crypto';
+import { addCachedConversion } from './database.js';
+import { getAllSettings } from './settings.js';
+import { deliverPostback, markReturnedToCache } from './postback.js';
+import { getPostbackClickid } from './cacheMode.js';
+
+// How a flushed cache batch is credited:
+//   most_recent         - everything to the most recent clickid (the original behavior)
+//   largest_contributor - everything to the clickid that contributed the most
+//   per_clickid         - one postback per contributing clickid with its own total
+//   proportional        - one postback per clickid contributing at least the minimum amount; smaller
+//                         contributions are split between them in proportion to their totals
+export const ALLOCATION_STRATEGIES = ['most_recent', 'largest_contributor', 'per_clickid', 'proportional'];
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+// Totals per clickid, largest first (ties: most recent contribution first). Rows come oldest first.
+function getContributors(rows) {
+  const byClickid = new Map();
+
+  rows.forEach((row, index) => {
+    const contributor = byClickid.get(row.clickid) || {
+      clickid: row.clickid,
+      cacheKey: row.cache_key,
+      cents: 0,
+      conversions: 0,
+      lastIndex: 0
+    };
+    contributor.cents += toCents(row.amount);
+    contributor.conversions += 1;
+    contributor.lastIndex = index;
+    byClickid.set(row.clickid, contributor);
+  });
+
+  return [...byClickid.values()].sort((a, b) => b.cents - a.cents || b.lastIndex - a.lastIndex);
+}
+
+function allocateProportionally(contributors, totalCents, minCents) {
+  const qualifying = contributors.filter(contributor => contributor.cents >= minCents);
+
+  // Nobody reaches the minimum: credit everything to the largest contributor
+  if (qualifying.length === 0) {
+    return [{ ...contributors[0], allocatedCents: totalCents }];
+  }
+
+  const qualifyingCents = qualifying.reduce((sum, contributor) => sum + contributor.cents, 0);
+  const shares = qualifying.map(contributor => ({
+    ...contributor,
+    allocatedCents: Math.floor(totalCents * contributor.cents / qualifyingCents)
+  }));
+
+  // Rounding leftovers go to the largest contributor so the shares add up to the batch total
+  shares[0].allocatedCents += totalCents - shares.reduce((sum, share) => sum + share.allocatedCents, 0);
+  return shares;
+}
+
+// Split allocations above the per-postback maximum into chunks of at most that amount. Chunks go to
+// distinct contributing clickids while there are any: the allocation's own clickid first, then clickids
+// the batch credits nothing else to, largest contributor first; after that they take turns. Each chunk
+// gets a txid derived from the claimed rows and its position, so retrying the same rows sends the same
+// txids and the tracker can de-duplicate chunks it already received.
+function splitOversizedShares(shares, contributors, rows, maxCents) {
+  const rowIds = rows.map(row => row.id).sort((a, b) => a - b).join(',');
+  const credited = new Set(shares.map(share => share.clickid));
+  const unused = contributors.filter(contributor => !credited.has(contributor.clickid));
+
+  return shares.flatMap(share => {
+    if (share.allocatedCents <= maxCents) return [share];
+
+    const count = Math.ceil(share.allocatedCents / maxCents);
+    const base = Math.floor(share.allocatedCents / count);
+    const remainder = share.allocatedCents - base * count;
+
+    const recipients = [share];
+    while (recipients.length < count && unused.length > 0) {
+      recipients.push(unused.shift());
+    }
+
+    return Array.from({ length: count }, (_, index) => {
+      const recipient = recipients[index % recipients.length];
+      return {
+        ...recipient,
+        allocatedCents: base + (index < remainder ? 1 : 0),
+        chunk: { index: index + 1, count, of: share.clickid },
+        txid: crypto.createHash('sha256')
+          .update(`${rowIds}|${share.clickid}|${index + 1}/${count}`)
+          .digest('hex')
+          .slice(0, 32)
+      };
+    });
+  });
+}
+
+// Split a claimed batch into the postbacks to send; `strategy` overrides the configured one. Result:
+// { strategy, allocations: [{ clickid, amount, contributed, conversions, cacheKey, chunk, txid }], primaryClickid,
+//   clickidUsed, breakdown }
+// `chunk` ({ index, count, of }) and `txid` are null unless the allocation was split by the maximum postback amount.
+export async function allocateBatch(cacheKey, rows, fallbackClickid, { strategy: override = null } = {}) {
+  const settings = await getAllSettings();
+  const strategy = override || settings.allocation_strategy.value;
+  const contributors = getContributors(rows);
+  const totalCents = contributors.reduce((sum, contributor) => sum + contributor.cents, 0);
+
+  let shares;
+
+  if (strategy === 'per_clickid') {
+    shares = contributors.map(contributor => ({ ...contributor, allocatedCents: contributor.cents }));
+  } else if (strategy === 'proportional') {
+    shares = allocateProportionally(contributors, totalCents, toCents(settings.allocation_min_amount.value));
+  } else if (strategy === 'largest_contributor') {
+    shares = [{ ...contributors[0], allocatedCents: totalCents }];
+  } else {
+    const clickid = getPostbackClickid(cacheKey, rows, fallbackClickid);
+    const contributor = contributors.find(item => item.clickid === clickid) || contributors[0];
+    shares = [{ ...contributor, clickid, allocatedCents: totalCents }];
+  }
+
+  const maxCents = toCents(settings.max_postback_amount.value);
+  if (maxCents > 0) {
+    shares = splitOversizedShares(shares, contributors, rows, maxCents);
+  }
+
+  const allocations = shares.map(share => ({
+    clickid: share.clickid,
+    amount: share.allocatedCents / 100,
+    contributed: share.cents / 100,
+    conversions: share.conversions,
+    cacheKey: share.cacheKey,
+    chunk: share.chunk || null,
+    txid: share.txid || null
+  }));
+
+  let breakdown = contributors
+    .map(contributor => {
+      const credited = allocations
+        .filter(item => item.clickid === contributor.clickid)
+        .reduce((sum, item) => sum + item.amount, 0);
+      return `${contributor.clickid}: contributed $${(contributor.cents / 100).toFixed(2)} (${contributor.conversions} conversions), credited $${credited.toFixed(2)}`;
+    })
+    .join('; ');
+
+  const chunks = allocations.filter(item => item.chunk).length;
+  if (chunks > 0) {
+    breakdown += `; split into ${chunks} postbacks of at most $${(maxCents / 100).toFixed(2)}`;
+  }
+
+  return {
+    strategy,
+    allocations,
+    primaryClickid: allocations[0].clickid,
+    clickidUsed: [...new Set(allocations.map(allocation => allocation.clickid))].join(', '),
+    breakdown
+  };
+}
+
+// Deliver every allocation of a batch. An allocation that throws counts as not accepted instead of
+// aborting the batch, since earlier allocations may already own their amount.
+// The result has the deliverPostback shape, with `results` covering every allocation's destinations.
+// `keepAlive` is awaited after every allocation to renew the leases of a long delivery; once it returns
+// false the remaining allocations are not sent (they count as undelivered) and the result is `stopped`.
+export async function deliverAllocations(allocation, { source, flushRunId = null, businessDate = null, keepAlive = null }) {
+  const deliveries = [];
+  let stopped = false;
+
+  for (const item of allocation.allocations) {
+    let delivery;
+
+    if (stopped) {
+      const reason = 'Not sent: the flush stopped before this allocation';
+      delivery = { success: false, accepted: false, queued: false, errorMessage: reason, summary: reason, responseText: '', results: [] };
+    } else {
+      try {
+        delivery = await deliverPostback({ clickid: item.clickid, amount: item.amount, txid: item.txid, source, flushRunId, businessDate });
+      } catch (error) {
+        delivery = { success: false, accepted: false, queued: false, errorMessage: error.message, summary: error.message, responseText: '', results: [] };
+      }
+
+      if (keepAlive && !(await keepAlive())) {
+        stopped = true;
+      }
+    }
+
+    deliveries.push({ ...item, delivery });
+  }
+
+  const single = deliveries.length === 1;
+  const failures = deliveries.filter(item => !item.delivery.success);
+  const success = failures.length === 0;
+  const accepted = deliveries.some(item => item.delivery.accepted);
+
+  return {
+    success,
+    accepted,
+    stopped,
+    queued: accepted && !success,
+    responseText: deliveries
+      .filter(item => item.delivery.success)
+      .map(item => (single ? item.delivery.responseText : `${item.clickid}: ${item.delivery.responseText}`))
+      .join('; '),
+    errorMessage: failures.length > 0
+      ? failures.map(item => (single ? item.delivery.errorMessage : `${item.clickid}: ${item.delivery.errorMessage}`)).join('; ')
+      : null,
+    summary: deliveries
+      .map(item => (single ? item.delivery.summary : `${item.clickid} $${item.amount.toFixed(2)}: ${item.delivery.summary}`))
+      .join('; '),
+    results: deliveries.flatMap(item => item.delivery.results.map(result => ({ ...result, clickid: item.clickid, amount: item.amount }))),
+    allocations: deliveries
+  };
+}
+
+// After a partially accepted batch was cleared, put the allocations nobody accepted back into the
+// cache so their amount is sent with a later postback. Returns the amount returned.
+export async function returnUndeliveredAllocations(delivery) {
+  let returned = 0;
+
+  for (const item of delivery.allocations) {
+    if (item.delivery.accepted) continue;
+
+    await addCachedConversion(item.clickid, item.amount, item.cacheKey);
+    await markReturnedToCache(item.delivery);
+    returned += item.amount;
+  }
+
+  return returned;
+}
@@ -0,0 +1,108 @@
+// File: lib/businessDay.js
+// Wall-clock helpers for the business timezone. Dates and times are always derived from the IANA zone
+// at the moment in question, so DST changes never shift the business date or the daily flush time.
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// "HH:MM" (24h) -> minutes since midnight, or null when malformed
+export function parseTimeOfDay(value) {
+  const match = TIME_OF_DAY_PATTERN.exec(String(value).trim());
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+// "08:00, 23:59" -> ['08:00', '23:59'] (sorted, duplicates dropped), or null when any entry is malformed.
+// An empty value is an empty list.
+export function parseTimeList(value) {
+  const entries = String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.some(entry => parseTimeOfDay(entry) === null)) {
+    return null;
+  }
+  return [...new Set(entries)].sort();
+}
+
+// Local wall clock of `date` in `timeZone`: { timeZone, businessDate: 'YYYY-MM-DD', localTime: 'HH:MM', minuteOfDay }
+export function getBusinessClock(timeZone, date = new Date()) {
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    timeZone,
+    businessDate: `${parts.year}-${parts.month}-${parts.day}`,
+    localTime: `${parts.hour}:${parts.minute}`,
+    minuteOfDay: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+// Calendar arithmetic on 'YYYY-MM-DD' business dates (done in UTC, where no day is 23 or 25 hours long)
+export function addDays(businessDate, days) {
+  const date = new Date(`${businessDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Instant at which the wall clock in `timeZone` shows `time` on `businessDate`. A time repeated by a DST
+// change resolves to its first occurrence; a time skipped by one resolves to the same time after the
+// jump (02:30 -> 03:30).
+export function zonedTimeToDate(businessDate, time, timeZone) {
+  const [year, month, day] = businessDate.split('-').map(Number);
+  const minutes = parseTimeOfDay(time);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  // Offset of the zone at a given instant, in milliseconds (local wall clock minus UTC)
+  const offsetAt = instant => {
+    const clock = getBusinessClock(timeZone, new Date(instant));
+    const [y, m, d] = clock.businessDate.split('-').map(Number);
+    return Date.UTC(y, m - 1, d, Math.floor(clock.minuteOfDay / 60), clock.minuteOfDay % 60) - Math.floor(instant / 60000) * 60000;
+  };
+
+  // The second pass corrects a first guess that landed on the other side of a DST change
+  const first = wallClockAsUtc - offsetAt(wallClockAsUtc);
+  const second = wallClockAsUtc - offsetAt(first);
+
+  const clock = getBusinessClock(timeZone, new Date(second));
+  if (clock.businessDate === businessDate && clock.minuteOfDay === minutes) {
+    return new Date(second);
+  }
+
+  // Neither guess shows the requested time: it falls into a DST gap
+  return new Date(Math.max(first, second));
+}
+
+// Next occurrence of the daily `timeOfDay` strictly after the clock: { businessDate, at (Date) }
+export function getNextOccurrence(clock, timeOfDay) {
+  const businessDate = parseTimeOfDay(timeOfDay) > clock.minuteOfDay ? clock.businessDate : addDays(clock.businessDate, 1);
+  return { businessDate, at: zonedTimeToDate(businessDate, timeOfDay, clock.timeZone) };
+}
+
+// Most recent occurrence of the daily `timeOfDay` at or before the clock: today's once its time has
+// passed, yesterday's before that. Returns { businessDate, minutesLate } in wall-clock minutes.
+export function getLatestOccurrence(clock, timeOfDay) {
+  const scheduledMinute = parseTimeOfDay(timeOfDay);
+
+  if (clock.minuteOfDay >= scheduledMinute) {
+    return { businessDate: clock.businessDate, minutesLate: clock.minuteOfDay - scheduledMinute };
+  }
+
+  return { businessDate: addDays(clock.businessDate, -1), minutesLate: clock.minuteOfDay + 24 * 60 - scheduledMinute };
+}
@@ -0,0 +1,246 @@
+// File: lib/cacheExpiry.js
+import { getPool } from './database.js';
+import { deliverPostback, markReturnedToCache } from './postback.js';
+import { getBusinessDate } from './flushRuns.js';
+import { addDays } from './businessDay.js';
+
+// What happens to a cached conversion once it is older than the cache TTL (cache_expiry_action).
+// Every expired row ends up in the expired_conversions ledger with one of these statuses:
+//   flush     - sent to its own clickid by a flush run with policy 'expiry'   -> flushed
+//   write_off - removed from the cache without a postback                     -> written_off
+//   review    - removed from the cache into the review list                   -> review, then sent or
+//               written_off once an admin resolves it
+export const EXPIRY_ACTIONS = ['flush', 'write_off', 'review'];
+export const REVIEW_ACTIONS = ['send', 'write_off'];
+
+const EXPIRY_STATUSES = { flush: 'flushed', write_off: 'written_off', review: 'review' };
+
+// Expiry compares created_at with the database clock (like the max-age policy), never with a time
+// computed in Node: the app and database servers don't share a timezone
+const EXPIRED_CONDITION = 'batch_id IS NULL AND created_at <= NOW() - INTERVAL ? SECOND';
+
+// A review send claims its row as 'sending' (resolved_at holds the claim time). A send that died before
+// recording its outcome hands the row back to the review list after this long.
+const REVIEW_SEND_LEASE_SECONDS = 900;
+
+// Unclaimed cached rows older than the TTL: { count, amount }
+export async function getExpiredCacheSummary(ttlHours) {
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    `SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as amount
+     FROM cached_conversions
+     WHERE ${EXPIRED_CONDITION}`,
+    [Math.round(ttlHours * 3600)]
+  );
+  return { count: parseInt(rows[0].count), amount: parseFloat(rows[0].amount) };
+}
+
+// Ledger the rows an expiry flush run delivered; rows it handed back to the cache expire again later
+export async function recordFlushedExpiries(runId, { businessDate, reason }) {
+  const pool = getPool();
+  const [result] = await pool.execute(
+    `INSERT INTO expired_conversions
+     (cached_conversion_id, clickid, amount, txid, cache_key, cached_at, business_date, action, status, reason, flush_run_id)
+     SELECT cached_conversion_id, clickid, amount, txid, cache_key, cached_at, ?, 'flush', 'flushed', ?, flush_run_id
+     FROM flush_run_conversions
+     WHERE flush_run_id = ? AND outcome = 'consumed'`,
+    [businessDate, reason, runId]
+  );
+  return result.affectedRows;
+}
+
+// Move the expired rows out of the cache into the ledger (write_off and review), in one transaction so
+// a row is never both cached and ledgered. Returns { count, amount }.
+export async function moveExpiredConversions(ttlHours, { action, businessDate, reason }) {
+  const connection = await getPool().getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      `SELECT id, clickid, amount, txid, cache_key, created_at FROM cached_conversions
+       WHERE ${EXPIRED_CONDITION}
+       ORDER BY created_at ASC, id ASC
+       FOR UPDATE`,
+      [Math.round(ttlHours * 3600)]
+    );
+
+    if (rows.length === 0) {
+      await connection.commit();
+      return { count: 0, amount: 0 };
+    }
+
+    const values = [];
+    for (const row of rows) {
+      values.push(row.id, row.clickid, row.amount, row.txid, row.cache_key, row.created_at, businessDate, action, EXPIRY_STATUSES[action], reason);
+    }
+
+    await connection.execute(
+      `INSERT INTO expired_conversions
+       (cached_conversion_id, clickid, amount, txid, cache_key, cached_at, business_date, action, status, reason)
+       VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+      values
+    );
+
+    await connection.execute(
+      `DELETE FROM cached_conversions WHERE id IN (${rows.map(() => '?').join(', ')})`,
+      rows.map(row => row.id)
+    );
+
+    await connection.commit();
+
+    return {
+      count: rows.length,
+      amount: rows.reduce((sum, row) => sum + parseFloat(row.amount), 0)
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Put review sends whose lease ran out back on the review list
+async function releaseStaleReviewSends() {
+  const pool = getPool();
+  await pool.execute(
+    `UPDATE expired_conversions SET status = 'review', resolved_at = NULL
+     WHERE status = 'sending' AND resolved_at < NOW() - INTERVAL ? SECOND`,
+    [REVIEW_SEND_LEASE_SECONDS]
+  );
+}
+
+export async function listExpiredConversions({ status, from, to, limit = 200 } = {}) {
+  await releaseStaleReviewSends();
+
+  const pool = getPool();
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('e.status = ?');
+    params.push(status);
+  }
+  if (from) {
+    conditions.push('e.business_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('e.business_date <= ?');
+    params.push(to);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 200, 1), 1000);
+
+  const [rows] = await pool.execute(
+    `SELECT e.id, e.cached_conversion_id, e.clickid, e.amount, e.txid, e.cache_key, e.cached_at,
+       DATE_FORMAT(e.business_date, '%Y-%m-%d') as business_date, e.action, e.status, e.reason,
+       e.flush_run_id, e.expired_at, e.resolved_at
+     FROM expired_conversions e
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY e.expired_at DESC, e.id DESC
+     LIMIT ${pageSize}`,
+    params
+  );
+  return rows;
+}
+
+// Expired amount per business date of the last `days` business days (counted in the business timezone),
+// newest first: [{ businessDate, count, amount, flushed, writtenOff, review, sent }]
+export async function getExpiredTotalsByDay(days = 14) {
+  const { businessDate } = await getBusinessDate();
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    `SELECT DATE_FORMAT(business_date, '%Y-%m-%d') as business_date,
+       COUNT(*) as count,
+       COALESCE(SUM(amount), 0) as amount,
+       COALESCE(SUM(CASE WHEN status = 'flushed' THEN amount END), 0) as flushed,
+       COALESCE(SUM(CASE WHEN status = 'written_off' THEN amount END), 0) as written_off,
+       COALESCE(SUM(CASE WHEN status IN ('review', 'sending') THEN amount END), 0) as review,
+       COALESCE(SUM(CASE WHEN status = 'sent' THEN amount END), 0) as sent
+     FROM expired_conversions
+     WHERE business_date >= ?
+     GROUP BY business_date
+     ORDER BY business_date DESC`,
+    [addDays(businessDate, -days)]
+  );
+
+  return rows.map(row => ({
+    businessDate: row.business_date,
+    count: parseInt(row.count),
+    amount: parseFloat(row.amount),
+    flushed: parseFloat(row.flushed),
+    writtenOff: parseFloat(row.written_off),
+    review: parseFloat(row.review),
+    sent: parseFloat(row.sent)
+  }));
+}
+
+// Resolve one conversion of the review list: send it to its own clickid or write it off.
+// Result: { id, resolved, status, reason?, error? }
+export async function resolveReviewedConversion(id, action, reason = null) {
+  if (!REVIEW_ACTIONS.includes(action)) {
+    throw new Error(`Unknown review action: ${action}`);
+  }
+
+  await releaseStaleReviewSends();
+
+  const pool = getPool();
+
+  if (action === 'write_off') {
+    const [result] = await pool.execute(
+      `UPDATE expired_conversions SET status = 'written_off', reason = ?, resolved_at = NOW()
+       WHERE id = ? AND status = 'review'`,
+      [reason || 'Written off after review', id]
+    );
+    return result.affectedRows > 0
+      ? { id, resolved: true, status: 'written_off' }
+      : { id, resolved: false, reason: 'Not in the review list' };
+  }
+
+  // Take the row off the review list first so two admins can't send it twice
+  const [claimed] = await pool.execute(
+    "UPDATE expired_conversions SET status = 'sending', resolved_at = NOW() WHERE id = ? AND status = 'review'",
+    [id]
+  );
+  if (claimed.affectedRows === 0) {
+    return { id, resolved: false, reason: 'Not in the review list' };
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT clickid, amount, DATE_FORMAT(business_date, '%Y-%m-%d') as business_date
+     FROM expired_conversions WHERE id = ?`,
+    [id]
+  );
+  const row = rows[0];
+
+  let delivery;
+  try {
+    delivery = await deliverPostback({
+      clickid: row.clickid,
+      amount: parseFloat(row.amount),
+      source: 'review',
+      businessDate: row.business_date
+    });
+  } catch (error) {
+    delivery = { accepted: false, errorMessage: error.message };
+  }
+
+  // Once a destination delivered or queued it, the outbox owns the amount
+  if (delivery.accepted) {
+    await pool.execute(
+      `UPDATE expired_conversions SET status = 'sent', resolved_at = NOW(), reason = ?
+       WHERE id = ?`,
+      [reason || `Sent to ${row.clickid} after review`, id]
+    );
+    return { id, resolved: true, status: 'sent', queued: !delivery.success };
+  }
+
+  // Back on the review list, so the failed outbox entries must not be replayed as well
+  if (delivery.results) {
+    await markReturnedToCache(delivery);
+  }
+  await pool.execute("UPDATE expired_conversions SET status = 'review', resolved_at = NULL WHERE id = ?", [id]);
+  return { id, resolved: false, reason: 'Postback failed', error: delivery.errorMessage };
+}
@@ -0,0 +1,65 @@
+// File: lib/cacheMode.js
+import { GLOBAL_CACHE_KEY, getCachedKeys, getCachedTotal, getGlobalCachedTotal } from './database.js';
+import { getAllSettings } from './settings.js';
+
+const CLICKID_KEY_PREFIX = 'clickid:';
+const PARAM_KEY_PREFIX = 'key:';
+
+export async function getCacheConfig() {
+  const settings = await getAllSettings();
+
+  return {
+    mode: settings.cache_mode.value,
+    keyParam: settings.cache_key_param.value
+  };
+}
+
+// Cache key a conversion accumulates under, e.g. "global", "clickid:abc" or "key:campaign-7"
+export function resolveCacheKey(config, clickid, params = {}) {
+  if (config.mode === 'clickid') {
+    return `${CLICKID_KEY_PREFIX}${clickid}`;
+  }
+
+  if (config.mode === 'key') {
+    const value = params[config.keyParam];
+    if (value !== undefined && value !== null && value !== '') {
+      return `${PARAM_KEY_PREFIX}${value}`;
+    }
+  }
+
+  // Global mode, or key mode with the key parameter missing from the request
+  return GLOBAL_CACHE_KEY;
+}
+
+// Key a conversion at or above the threshold claims: in global mode it absorbs every unclaimed row
+export function getClaimKey(config, cacheKey) {
+  return config.mode === 'global' ? null : cacheKey;
+}
+
+export async function getCachedBalance(config, cacheKey) {
+  return config.mode === 'global' ? await getGlobalCachedTotal() : await getCachedTotal(cacheKey);
+}
+
+// Batches the daily flush sends: one batch of everything in global mode, otherwise one per cache key.
+// Rows cached under another mode keep their key and are flushed as their own batch.
+export async function getFlushCacheKeys(config) {
+  if (config.mode === 'global') {
+    return [null];
+  }
+
+  const keys = await getCachedKeys();
+  return keys.length > 0 ? keys : [null];
+}
+
+// Clickid a flushed batch is credited to: the key's own clickid in clickid mode, else the most recent one
+export function getPostbackClickid(cacheKey, rows, fallback) {
+  if (cacheKey && cacheKey.startsWith(CLICKID_KEY_PREFIX)) {
+    return cacheKey.slice(CLICKID_KEY_PREFIX.length);
+  }
+
+  return rows[rows.length - 1]?.clickid || fallback;
+}
+
+export function describeCacheKey(cacheKey) {
+  return cacheKey === null ? 'GLOBAL' : cacheKey;
+}
@@ -0,0 +1,171 @@
+// File: lib/circuitBreaker.js
+import { getPool, logConversion } from './database.js';
+import { getAllSettings } from './settings.js';
+
+// How long a half-open probe may take before another instance is allowed to probe instead
+const PROBE_LEASE_SECONDS = 120;
+
+// Breaker states:
+//   closed    - postbacks are sent normally
+//   open      - the destination is failing; postbacks are held in the outbox until the cool-down ends
+//   half_open - one probe postback is in flight; its result closes or re-opens the breaker
+async function getBreakerPolicy() {
+  const settings = await getAllSettings();
+
+  return {
+    failureThreshold: Math.max(1, Math.floor(settings.circuit_failure_threshold.value)),
+    cooldownSeconds: Math.max(1, Math.floor(settings.circuit_cooldown_seconds.value))
+  };
+}
+
+// Decide whether a postback to this destination may be sent now.
+// Returns 'closed' (send), 'probe' (send as the half-open probe) or 'open' (hold it).
+export async function checkCircuit(destinationId) {
+  if (!destinationId) return 'closed';
+
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    'SELECT state FROM destination_circuit_breakers WHERE destination_id = ?',
+    [destinationId]
+  );
+
+  if (rows.length === 0 || rows[0].state === 'closed') {
+    return 'closed';
+  }
+
+  // Only one instance wins the probe once the cool-down is over (or a previous probe was abandoned)
+  const [result] = await pool.execute(
+    `UPDATE destination_circuit_breakers
+     SET state = 'half_open', probe_locked_until = NOW() + INTERVAL ? SECOND
+     WHERE destination_id = ?
+       AND ((state = 'open' AND retry_at <= NOW()) OR (state = 'half_open' AND probe_locked_until < NOW()))`,
+    [PROBE_LEASE_SECONDS, destinationId]
+  );
+
+  return result.affectedRows > 0 ? 'probe' : 'open';
+}
+
+// Record the outcome of a postback attempt. Only retryable failures (network errors, timeouts, 5xx)
+// count towards opening the breaker; any other answer means the endpoint is up.
+export async function recordCircuitResult(destinationId, { success, retryable, errorMessage, probe }) {
+  if (!destinationId) return;
+
+  const pool = getPool();
+
+  if (success || !retryable) {
+    const [closed] = await pool.execute(
+      `UPDATE destination_circuit_breakers
+       SET state = 'closed', consecutive_failures = 0, opened_at = NULL, retry_at = NULL, probe_locked_until = NULL
+       WHERE destination_id = ? AND state <> 'closed'`,
+      [destinationId]
+    );
+
+    await pool.execute(
+      `UPDATE destination_circuit_breakers SET consecutive_failures = 0
+       WHERE destination_id = ? AND consecutive_failures > 0`,
+      [destinationId]
+    );
+
+    if (closed.affectedRows > 0) {
+      // Everything held while the breaker was open becomes due right away
+      const [released] = await pool.execute(
+        `UPDATE postback_outbox SET status = 'pending', next_attempt_at = NOW()
+         WHERE status = 'held' AND destination_id = ?`,
+        [destinationId]
+      );
+
+      await logConversion({
+        clickid: 'circuit-breaker',
+        action: 'circuit_closed',
+        message: `Circuit breaker for destination #${destinationId} closed after a successful probe. Released ${released.affectedRows} held postbacks for delivery`
+      });
+    }
+    return;
+  }
+
+  const policy = await getBreakerPolicy();
+
+  if (probe) {
+    await pool.execute(
+      `UPDATE destination_circuit_breakers
+       SET state = 'open', consecutive_failures = consecutive_failures + 1, last_error = ?,
+           opened_at = NOW(), retry_at = NOW() + INTERVAL ? SECOND, probe_locked_until = NULL
+       WHERE destination_id = ?`,
+      [errorMessage, policy.cooldownSeconds, destinationId]
+    );
+
+    await logConversion({
+      clickid: 'circuit-breaker',
+      action: 'circuit_probe_failed',
+      message: `Circuit breaker probe for destination #${destinationId} failed (${errorMessage}). Staying open for ${policy.cooldownSeconds}s`
+    });
+    return;
+  }
+
+  await pool.execute(
+    `INSERT INTO destination_circuit_breakers (destination_id, state, consecutive_failures, last_error)
+     VALUES (?, 'closed', 1, ?)
+     ON DUPLICATE KEY UPDATE consecutive_failures = consecutive_failures + 1, last_error = VALUES(last_error)`,
+    [destinationId, errorMessage]
+  );
+
+  const [opened] = await pool.execute(
+    `UPDATE destination_circuit_breakers
+     SET state = 'open', opened_at = NOW(), retry_at = NOW() + INTERVAL ? SECOND
+     WHERE destination_id = ? AND state = 'closed' AND consecutive_failures >= ?`,
+    [policy.cooldownSeconds, destinationId, policy.failureThreshold]
+  );
+
+  if (opened.affectedRows > 0) {
+    await logConversion({
+      clickid: 'circuit-breaker',
+      action: 'circuit_opened',
+      message: `Circuit breaker for destination #${destinationId} opened after ${policy.failureThreshold} consecutive failures (last: ${errorMessage}). New postbacks are held for ${policy.cooldownSeconds}s`
+    });
+  }
+}
+
+// Give up a probe that was never sent (e.g. deferred by the rate limit) so the next attempt can probe
+export async function abandonProbe(destinationId) {
+  const pool = getPool();
+  await pool.execute(
+    `UPDATE destination_circuit_breakers SET state = 'open', retry_at = NOW(), probe_locked_until = NULL
+     WHERE destination_id = ? AND state = 'half_open'`,
+    [destinationId]
+  );
+}
+
+// Make held postbacks of destinations whose cool-down has ended due, so the outbox worker probes them
+export async function releaseProbeCandidates() {
+  const pool = getPool();
+  const [result] = await pool.execute(
+    `UPDATE postback_outbox o
+     JOIN destination_circuit_breakers c ON c.destination_id = o.destination_id
+     SET o.status = 'pending', o.next_attempt_at = NOW()
+     WHERE o.status = 'held'
+       AND ((c.state = 'open' AND c.retry_at <= NOW()) OR (c.state = 'half_open' AND c.probe_locked_until < NOW()))`
+  );
+  return result.affectedRows;
+}
+
+// Breaker state per destination id (destinations without a row are closed)
+export async function getCircuitStates() {
+  const pool = getPool();
+  const [rows] = await pool.execute(`
+    SELECT c.*, (SELECT COUNT(*) FROM postback_outbox o WHERE o.destination_id = c.destination_id AND o.status = 'held') as held_count
+    FROM destination_circuit_breakers c
+  `);
+
+  const states = {};
+  for (const row of rows) {
+    states[row.destination_id] = {
+      state: row.state,
+      consecutiveFailures: row.consecutive_failures,
+      lastError: row.last_error,
+      openedAt: row.opened_at,
+      retryAt: row.retry_at,
+      heldCount: parseInt(row.held_count)
+    };
+  }
+  return states;
+}
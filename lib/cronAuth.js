@@ -0,0 +1,22 @@
+// File: lib/cronAuth.js
+import crypto from 'crypto';
+
+// Cron endpoints require `Authorization: Bearer <CRON_SECRET>`. Vercel Cron sends this header on its own
+// once the CRON_SECRET environment variable is set; external schedulers have to send it themselves.
+// Returns null when the request may proceed, otherwise { status, error } to respond with.
+export function getCronAuthError(req) {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) {
+    return { status: 500, error: 'CRON_SECRET is not configured' };
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return { status: 401, error: 'Unauthorized - invalid cron secret' };
+  }
+
+  return null;
+}
@@ -1,5 +1,8 @@
 // File: lib/database.js
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import mysql from 'mysql2/promise';
+import { getSchemaStatus, SchemaOutdatedError } from './migrations.js';
 
 // Database connection configuration
 const dbConfig = {
@@ -18,81 +21,264 @@ const dbConfig = {
 // Create connection pool
 let pool;
 
+// Set while a callback of withRequestScope() runs: { pool, connection, checkout, logs, busy, transaction, away }
+const requestScope = new AsyncLocalStorage();
+
+// Inside withRequestScope() this returns the request's pool stand-in, so every query of the request
+// runs on the one connection it checked out; everywhere else the shared pool.
 export function getPool() {
+  const scope = requestScope.getStore();
+  if (scope) {
+    return scope.pool;
+  }
+
   if (!pool) {
     pool = mysql.createPool(dbConfig);
   }
   return pool;
 }
 
-// Initialize database tables
+// Close every pooled connection (long-running processes call this on shutdown)
+export async function closePool() {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.end();
+  }
+}
+
+// Log events buffered by a request scope are written early once this many are waiting
+const LOG_BATCH_LIMIT = 100;
+
+const LOG_COLUMNS = '(clickid, original_amount, cached_amount, total_sent, action, message, threshold)';
+
+function toLogValues(data) {
+  return [
+    data.clickid || null,
+    data.original_amount || null,
+    data.cached_amount || null,
+    data.total_sent || null,
+    data.action || '',
+    data.message || '',
+    data.threshold ?? null
+  ];
+}
+
+async function writeLogs(connection, entries) {
+  const [result] = await connection.execute(
+    `INSERT INTO conversion_logs ${LOG_COLUMNS} VALUES ${entries.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+    entries.flatMap(toLogValues)
+  );
+  return result;
+}
+
+// Hand the request's connection back to the pool while a withoutRequestConnection() callback runs and no
+// query or transaction needs it; the next query checks one out again
+function releaseIdleConnection(scope) {
+  if (scope.away > 0 && scope.busy === 0 && !scope.transaction && scope.checkout) {
+    const checkout = scope.checkout;
+    scope.checkout = null;
+    checkout.then(connection => connection.release(), () => {});
+  }
+}
+
+function createScope() {
+  const scope = { checkout: null, logs: [], busy: 0, transaction: false, away: 0 };
+
+  // Checked out on the first query, so a request failing before it touches the database holds nothing
+  const acquire = () => {
+    if (!scope.checkout) {
+      if (!pool) {
+        pool = mysql.createPool(dbConfig);
+      }
+      scope.checkout = pool.getConnection();
+      // A failed checkout is retried by the next query instead of failing every query of the request
+      scope.checkout.catch(() => { scope.checkout = null; });
+    }
+    return scope.checkout;
+  };
+
+  const run = async operation => {
+    scope.busy++;
+    try {
+      return await operation(await acquire());
+    } finally {
+      scope.busy--;
+      releaseIdleConnection(scope);
+    }
+  };
+
+  // Helpers release their connection when done; the request's connection is released by the scope
+  const connection = {
+    execute: (...args) => run(checkedOut => checkedOut.execute(...args)),
+    query: (...args) => run(checkedOut => checkedOut.query(...args)),
+    beginTransaction: () => run(async checkedOut => {
+      await checkedOut.beginTransaction();
+      scope.transaction = true;
+    }),
+    commit: () => run(async checkedOut => {
+      await checkedOut.commit();
+      scope.transaction = false;
+    }),
+    rollback: () => run(async checkedOut => {
+      try {
+        await checkedOut.rollback();
+      } finally {
+        scope.transaction = false;
+      }
+    }),
+    release() {}
+  };
+
+  scope.pool = {
+    execute: connection.execute,
+    query: connection.query,
+    getConnection: async () => connection
+  };
+  scope.connection = connection;
+
+  return scope;
+}
+
+// Run `callback` as one ingestion request: its queries share a single pooled connection (handed back
+// while postbacks are in flight, see withoutRequestConnection) and its conversion log events are written as one multi-row INSERT when it settles (also when it throws).
+// Callers respond only after it resolved, so the audit trail is never left to work after the response.
+// Nested calls join the enclosing scope.
+export async function withRequestScope(callback) {
+  if (requestScope.getStore()) {
+    return callback();
+  }
+
+  const scope = createScope();
+
+  try {
+    return await requestScope.run(scope, callback);
+  } finally {
+    try {
+      if (scope.logs.length > 0) {
+        await writeLogs(scope.connection, scope.logs.splice(0));
+      }
+    } catch (error) {
+      console.error('Failed to write request logs:', error);
+    }
+
+    // A failed checkout left nothing to release
+    if (scope.checkout) {
+      await scope.checkout.then(connection => connection.release(), () => {});
+    }
+  }
+}
+
+// Run network I/O (postback requests) without holding the request's connection: a slow destination
+// must not keep a pooled connection busy. Queries made meanwhile check one out for themselves, and an
+// open transaction keeps its connection. Outside a request scope it just runs `callback`.
+export async function withoutRequestConnection(callback) {
+  const scope = requestScope.getStore();
+  if (!scope) {
+    return callback();
+  }
+
+  scope.away++;
+  releaseIdleConnection(scope);
+
+  try {
+    return await callback();
+  } finally {
+    scope.away--;
+  }
+}
+
+// The schema only changes through "npm run migrate", which runs before a release takes traffic, so one
+// successful check per process is enough. Failed and outdated checks are not kept: the next call checks again.
+let schemaCheck = null;
+
+// Check that the database schema is at the version this release expects. Requests never create or
+// alter tables: that is done by the migrations (npm run migrate). Throws SchemaOutdatedError when
+// migrations are pending, so nothing is read or written against a schema the code doesn't match.
 export async function initializeDatabase() {
+  if (!schemaCheck) {
+    schemaCheck = getSchemaStatus().then(status => {
+      if (!status.upToDate) {
+        throw new SchemaOutdatedError(status);
+      }
+      return status;
+    });
+    schemaCheck.catch(() => { schemaCheck = null; });
+  }
+
+  return schemaCheck;
+}
+
+// Cache key used by the global aggregation mode (and by rows cached before modes existed)
+export const GLOBAL_CACHE_KEY = 'global';
+
+// Database helper functions
+export async function addCachedConversion(clickid, amount, cacheKey = GLOBAL_CACHE_KEY, txid = null) {
   const connection = await getPool().getConnection();
   
   try {
-    // Create cached_conversions table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS cached_conversions (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        clickid VARCHAR(255) NOT NULL,
-        amount DECIMAL(10,2) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_clickid (clickid),
-        INDEX idx_created_at (created_at)
-      )
-    `);
-
-    // Create conversion_logs table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS conversion_logs (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        clickid VARCHAR(255),
-        original_amount DECIMAL(10,2),
-        cached_amount DECIMAL(10,2),
-        total_sent DECIMAL(10,2),
-        action VARCHAR(50),
-        message TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_clickid (clickid),
-        INDEX idx_created_at (created_at)
-      )
-    `);
-
-    // Create postback_history table
-    await connection.execute(`
-      CREATE TABLE IF NOT EXISTS postback_history (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        clickid VARCHAR(255) NOT NULL,
-        amount DECIMAL(10,2) NOT NULL,
-        postback_url TEXT,
-        success BOOLEAN DEFAULT FALSE,
-        response_text TEXT,
-        error_message TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        INDEX idx_clickid (clickid),
-        INDEX idx_success (success),
-        INDEX idx_created_at (created_at)
-      )
-    `);
+    const [result] = await connection.execute(
+      'INSERT INTO cached_conversions (clickid, amount, txid, cache_key) VALUES (?, ?, ?, ?)',
+      [clickid, amount, txid, cacheKey]
+    );
+    return result.insertId;
+  } finally {
+    connection.release();
+  }
+}
 
-    console.log('Database tables initialized successfully');
+// Take up to `amount` back out of the unclaimed cached rows of a conversion (matched by txid when
+// given, otherwise by clickid, newest first). Rows reduced to zero are removed. Returns the amount taken.
+export async function reverseCachedConversion({ clickid, txid, amount }) {
+  const connection = await getPool().getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    
+    const [rows] = await connection.execute(
+      `SELECT id, amount FROM cached_conversions 
+       WHERE clickid = ? AND batch_id IS NULL ${txid ? 'AND txid = ?' : ''}
+       ORDER BY created_at DESC, id DESC
+       FOR UPDATE`,
+      txid ? [clickid, txid] : [clickid]
+    );
+    
+    let remaining = Math.round(amount * 100);
+    let reversed = 0;
     
+    for (const row of rows) {
+      if (remaining <= 0) break;
+      
+      const rowCents = Math.round(parseFloat(row.amount) * 100);
+      const taken = Math.min(rowCents, remaining);
+      
+      if (taken === rowCents) {
+        await connection.execute('DELETE FROM cached_conversions WHERE id = ?', [row.id]);
+      } else {
+        await connection.execute('UPDATE cached_conversions SET amount = ? WHERE id = ?', [(rowCents - taken) / 100, row.id]);
+      }
+      
+      remaining -= taken;
+      reversed += taken;
+    }
+    
+    await connection.commit();
+    return reversed / 100;
   } catch (error) {
-    console.error('Error initializing database:', error);
+    await connection.rollback();
     throw error;
   } finally {
     connection.release();
   }
 }
 
-// Database helper functions
-export async function addCachedConversion(clickid, amount) {
+export async function addPendingConversion(clickid, amount, txid = null) {
   const connection = await getPool().getConnection();
   
   try {
     const [result] = await connection.execute(
-      'INSERT INTO cached_conversions (clickid, amount) VALUES (?, ?)',
-      [clickid, amount]
+      'INSERT INTO pending_conversions (clickid, amount, txid) VALUES (?, ?, ?)',
+      [clickid, amount, txid]
     );
     return result.insertId;
   } finally {
@@ -100,12 +286,78 @@ export async function addCachedConversion(clickid, amount) {
   }
 }
 
+// Move the pending conversion matching txid (or the oldest one of the clickid) to `status`. Without a
+// txid, `amount` limits the match to pending conversions of exactly that amount.
+// Returns the resolved row, or null when nothing was pending.
+export async function resolvePendingConversion({ clickid, txid, status, amount = null }) {
+  const connection = await getPool().getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    
+    const conditions = ["clickid = ?", "status = 'pending'"];
+    const params = [clickid];
+    if (txid) {
+      conditions.push('txid = ?');
+      params.push(txid);
+    } else if (amount !== null) {
+      conditions.push('amount = ?');
+      params.push(Math.round(amount * 100) / 100);
+    }
+    
+    const [rows] = await connection.execute(
+      `SELECT * FROM pending_conversions 
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at ASC, id ASC
+       LIMIT 1
+       FOR UPDATE`,
+      params
+    );
+    
+    if (rows.length === 0) {
+      await connection.rollback();
+      return null;
+    }
+    
+    await connection.execute(
+      'UPDATE pending_conversions SET status = ?, resolved_at = NOW() WHERE id = ?',
+      [status, rows[0].id]
+    );
+    
+    await connection.commit();
+    return { ...rows[0], amount: parseFloat(rows[0].amount), status };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Conversions of the clickid still waiting for approval, oldest first
+export async function getPendingConversions(clickid) {
+  const connection = await getPool().getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT id, amount, txid, created_at FROM pending_conversions 
+       WHERE clickid = ? AND status = 'pending' 
+       ORDER BY created_at ASC, id ASC`,
+      [clickid]
+    );
+    return rows.map(row => ({ ...row, amount: parseFloat(row.amount) }));
+  } finally {
+    connection.release();
+  }
+}
+
 export async function getGlobalCachedTotal() {
   const connection = await getPool().getConnection();
   
   try {
+    // Rows claimed by an in-flight flush batch are no longer part of the cache
     const [rows] = await connection.execute(
-      'SELECT COALESCE(SUM(amount), 0) as total FROM cached_conversions'
+      'SELECT COALESCE(SUM(amount), 0) as total FROM cached_conversions WHERE batch_id IS NULL'
     );
     return parseFloat(rows[0].total);
   } finally {
@@ -116,9 +368,110 @@ export async function getGlobalCachedTotal() {
 export async function clearAllCachedConversions() {
   const connection = await getPool().getConnection();
   
+  try {
+    // Leave rows claimed by an in-flight flush alone; the flush owns them
+    const [result] = await connection.execute(
+      'DELETE FROM cached_conversions WHERE batch_id IS NULL'
+    );
+    return result.affectedRows;
+  } finally {
+    connection.release();
+  }
+}
+
+// How long a claim may stay unresolved before its rows are handed back to the cache
+const CLAIM_LEASE_MINUTES = 15;
+
+// Atomically move every unclaimed cached row (optionally only those of one cache key) into a new flush batch.
+// A single UPDATE means two concurrent callers can never claim the same row.
+// `before` limits the claim to rows cached at or before that time (catch-up flushes of a past business date),
+// `minAgeHours` to rows at least that old by the database clock (expired rows)
+export async function claimCachedConversions(cacheKey = null, { before = null, minAgeHours = null } = {}) {
+  const connection = await getPool().getConnection();
+  const batchId = crypto.randomUUID();
+  
+  try {
+    // Recover rows from batches whose owner died before completing or releasing them
+    await connection.execute(
+      `UPDATE cached_conversions SET batch_id = NULL, claimed_at = NULL 
+       WHERE batch_id IS NOT NULL AND claimed_at < NOW() - INTERVAL ? MINUTE`,
+      [CLAIM_LEASE_MINUTES]
+    );
+
+    const conditions = ['batch_id IS NULL'];
+    const params = [batchId];
+    if (cacheKey !== null) {
+      conditions.push('cache_key = ?');
+      params.push(cacheKey);
+    }
+    if (before) {
+      // As epoch seconds: a Date parameter is formatted in Node's timezone but read in the session's
+      conditions.push('created_at <= FROM_UNIXTIME(?)');
+      params.push(Math.floor(before.getTime() / 1000));
+    }
+    if (minAgeHours) {
+      conditions.push('created_at <= NOW() - INTERVAL ? SECOND');
+      params.push(Math.round(minAgeHours * 3600));
+    }
+
+    const [result] = await connection.execute(
+      `UPDATE cached_conversions SET batch_id = ?, claimed_at = NOW() WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+
+    if (result.affectedRows === 0) {
+      return { batchId, cacheKey, rows: [], total: 0 };
+    }
+
+    const [rows] = await connection.execute(
+      `SELECT id, clickid, amount, txid, cache_key, created_at FROM cached_conversions 
+       WHERE batch_id = ? 
+       ORDER BY created_at ASC, id ASC`,
+      [batchId]
+    );
+    const [totals] = await connection.execute(
+      'SELECT COALESCE(SUM(amount), 0) as total FROM cached_conversions WHERE batch_id = ?',
+      [batchId]
+    );
+
+    return { batchId, cacheKey, rows, total: parseFloat(totals[0].total) };
+  } finally {
+    connection.release();
+  }
+}
+
+// Rows a claim of this cache key would take right now (every unclaimed row when cacheKey is null), read-only
+export async function getUnclaimedCachedConversions(cacheKey = null) {
+  const connection = await getPool().getConnection();
+  
+  try {
+    const [rows] = cacheKey === null
+      ? await connection.execute(
+        `SELECT id, clickid, amount, cache_key, created_at FROM cached_conversions 
+         WHERE batch_id IS NULL 
+         ORDER BY created_at ASC, id ASC`
+      )
+      : await connection.execute(
+        `SELECT id, clickid, amount, cache_key, created_at FROM cached_conversions 
+         WHERE batch_id IS NULL AND cache_key = ? 
+         ORDER BY created_at ASC, id ASC`,
+        [cacheKey]
+      );
+    return rows;
+  } finally {
+    connection.release();
+  }
+}
+
+// Extend the lease of a claim that is still being delivered; returns the rows it still holds (0 once
+// the lease ran out and its rows were handed back to the cache)
+export async function renewCachedClaim(batchId) {
+  const connection = await getPool().getConnection();
+  
   try {
     const [result] = await connection.execute(
-      'DELETE FROM cached_conversions'
+      'UPDATE cached_conversions SET claimed_at = NOW() WHERE batch_id = ?',
+      [batchId]
     );
     return result.affectedRows;
   } finally {
@@ -126,48 +479,151 @@ export async function clearAllCachedConversions() {
   }
 }
 
-export async function getCachedTotal(clickid) {
-  // For backward compatibility, but now returns global total
-  return await getGlobalCachedTotal();
+// The batch was delivered: remove exactly the claimed rows
+export async function completeCachedClaim(batchId) {
+  const connection = await getPool().getConnection();
+  
+  try {
+    const [result] = await connection.execute(
+      'DELETE FROM cached_conversions WHERE batch_id = ?',
+      [batchId]
+    );
+    return result.affectedRows;
+  } finally {
+    connection.release();
+  }
+}
+
+// The batch was not delivered: hand the claimed rows back to the cache
+export async function releaseCachedClaim(batchId) {
+  const connection = await getPool().getConnection();
+  
+  try {
+    const [result] = await connection.execute(
+      'UPDATE cached_conversions SET batch_id = NULL, claimed_at = NULL WHERE batch_id = ?',
+      [batchId]
+    );
+    return result.affectedRows;
+  } finally {
+    connection.release();
+  }
 }
 
-export async function clearCachedConversions(clickid) {
-  // For backward compatibility, but now clears all cache
-  return await clearAllCachedConversions();
+// Unclaimed total for one cache key (see lib/cacheMode.js for how keys are derived)
+export async function getCachedTotal(cacheKey) {
+  const connection = await getPool().getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      'SELECT COALESCE(SUM(amount), 0) as total FROM cached_conversions WHERE batch_id IS NULL AND cache_key = ?',
+      [cacheKey]
+    );
+    return parseFloat(rows[0].total);
+  } finally {
+    connection.release();
+  }
 }
 
-export async function logConversion(data) {
+export async function clearCachedConversions(cacheKey) {
   const connection = await getPool().getConnection();
   
   try {
     const [result] = await connection.execute(
-      `INSERT INTO conversion_logs 
-       (clickid, original_amount, cached_amount, total_sent, action, message) 
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [
-        data.clickid || null,
-        data.original_amount || null,
-        data.cached_amount || null,
-        data.total_sent || null,
-        data.action || '',
-        data.message || ''
-      ]
+      'DELETE FROM cached_conversions WHERE batch_id IS NULL AND cache_key = ?',
+      [cacheKey]
+    );
+    return result.affectedRows;
+  } finally {
+    connection.release();
+  }
+}
+
+// Cache keys that currently hold unclaimed rows, largest balance first
+export async function getCachedKeys() {
+  const connection = await getPool().getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT cache_key, SUM(amount) as total FROM cached_conversions 
+       WHERE batch_id IS NULL 
+       GROUP BY cache_key 
+       ORDER BY total DESC`
     );
+    return rows.map(row => row.cache_key);
+  } finally {
+    connection.release();
+  }
+}
+
+// Unclaimed balance and age of the oldest row per cache key (age measured by the database clock)
+export async function getCacheKeyStats() {
+  const connection = await getPool().getConnection();
+  
+  try {
+    const [rows] = await connection.execute(
+      `SELECT cache_key, SUM(amount) as total, TIMESTAMPDIFF(SECOND, MIN(created_at), NOW()) as age_seconds 
+       FROM cached_conversions 
+       WHERE batch_id IS NULL 
+       GROUP BY cache_key 
+       ORDER BY total DESC`
+    );
+    return rows.map(row => ({
+      cacheKey: row.cache_key,
+      total: parseFloat(row.total),
+      ageSeconds: parseInt(row.age_seconds)
+    }));
+  } finally {
+    connection.release();
+  }
+}
+
+// Inside withRequestScope() the event is buffered and written with the rest of the request's events,
+// and null is returned; otherwise it is inserted right away and its id returned.
+export async function logConversion(data) {
+  const scope = requestScope.getStore();
+  if (scope) {
+    scope.logs.push(data);
+    if (scope.logs.length >= LOG_BATCH_LIMIT) {
+      await writeLogs(scope.connection, scope.logs.splice(0));
+    }
+    return null;
+  }
+
+  const connection = await getPool().getConnection();
+  
+  try {
+    const result = await writeLogs(connection, [data]);
     return result.insertId;
   } finally {
     connection.release();
   }
 }
 
-export async function logPostback(clickid, amount, postback_url, success, response_text = null, error_message = null) {
+export async function logPostback(clickid, amount, postback_url, success, response_text = null, error_message = null, attemptInfo = {}) {
   const connection = await getPool().getConnection();
   
   try {
     const [result] = await connection.execute(
       `INSERT INTO postback_history 
-       (clickid, amount, postback_url, success, response_text, error_message) 
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [clickid, amount, postback_url, success, response_text, error_message]
+       (clickid, amount, postback_url, success, response_text, error_message, status_code, latency_ms, txid, destination_id, outbox_id, original_postback_id, attempt, flush_run_id, business_date) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        clickid,
+        amount,
+        postback_url,
+        success,
+        response_text,
+        error_message,
+        attemptInfo.statusCode ?? null,
+        attemptInfo.latencyMs ?? null,
+        attemptInfo.txid ?? null,
+        attemptInfo.destinationId ?? null,
+        attemptInfo.outboxId ?? null,
+        attemptInfo.originalPostbackId ?? null,
+        attemptInfo.attempt ?? 1,
+        attemptInfo.flushRunId ?? null,
+        attemptInfo.businessDate ?? null
+      ]
     );
     return result.insertId;
   } finally {
@@ -0,0 +1,296 @@
+// File: lib/destinations.js
+import crypto from 'crypto';
+import { getPool } from './database.js';
+import { getAllSettings } from './settings.js';
+import { getBusinessClock } from './businessDay.js';
+
+// Raised for invalid destination input, so API routes can answer 400 instead of 500
+export class DestinationValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DestinationValidationError';
+  }
+}
+
+export const TEMPLATE_MACROS = ['clickid', 'sum', 'txid', 'status', 'currency', 'timestamp', 'business_date'];
+
+// How a 2xx response body is checked before a postback counts as delivered
+export const SUCCESS_MATCH_TYPES = ['none', 'substring', 'regex'];
+
+const MIN_TIMEOUT_MS = 500;
+const MAX_TIMEOUT_MS = 60000;
+
+// Formatting helpers usable as {macro|helper:arg|helper:arg}, e.g. {sum|multiply:100|fixed:0}
+const TEMPLATE_HELPERS = {
+  fixed: (value, digits = '2') => Number(value).toFixed(parseInt(digits)),
+  multiply: (value, factor = '1') => Number(value) * parseFloat(factor),
+  divide: (value, divisor = '1') => Number(value) / parseFloat(divisor),
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value)
+};
+
+// Helpers whose argument must be a finite, non-zero number
+const NUMERIC_ARGUMENT_HELPERS = ['multiply', 'divide'];
+
+// Stand-in values a template is rendered against when it is validated
+const SAMPLE_MACRO_VALUES = {
+  clickid: 'sample-clickid',
+  sum: 12.5,
+  txid: 'sample-txid',
+  status: 'approved',
+  currency: 'USD',
+  timestamp: 1700000000,
+  business_date: '2024-01-01'
+};
+
+const MACRO_PATTERN = /\{(\w+)((?:\|\w+(?::[^|}]*)?)*)\}/g;
+
+function parseHelpers(chain) {
+  return chain
+    .split('|')
+    .filter(Boolean)
+    .map(part => {
+      const separator = part.indexOf(':');
+      return separator === -1
+        ? { name: part, arg: undefined }
+        : { name: part.slice(0, separator), arg: part.slice(separator + 1) };
+    });
+}
+
+// Returns a list of problems with a template (empty when it is valid)
+export function validateTemplate(template) {
+  const errors = [];
+
+  if (!template || typeof template !== 'string') {
+    return ['URL template is required'];
+  }
+
+  if (!/^https?:\/\//i.test(template)) {
+    errors.push('URL template must start with http:// or https://');
+  }
+
+  for (const match of template.matchAll(MACRO_PATTERN)) {
+    if (!TEMPLATE_MACROS.includes(match[1])) {
+      errors.push(`Unknown macro {${match[1]}}`);
+    }
+
+    for (const helper of parseHelpers(match[2])) {
+      if (!TEMPLATE_HELPERS[helper.name]) {
+        errors.push(`Unknown helper "${helper.name}" in {${match[1]}${match[2]}}`);
+      } else if (NUMERIC_ARGUMENT_HELPERS.includes(helper.name) && helper.arg !== undefined) {
+        const factor = Number(helper.arg);
+        if (helper.arg.trim() === '' || !Number.isFinite(factor) || factor === 0) {
+          errors.push(`Helper "${helper.name}" needs a non-zero number in {${match[1]}${match[2]}}`);
+        }
+      }
+    }
+  }
+
+  // Anything that would still fail at send time (e.g. fixed:101) fails here instead
+  if (errors.length === 0) {
+    try {
+      renderTemplate(template, SAMPLE_MACRO_VALUES);
+    } catch (error) {
+      errors.push(`Template error: ${error.message}`);
+    }
+  }
+
+  return errors;
+}
+
+// Empty means unlimited
+function parseRateLimit(value) {
+  return value === null || value === undefined || value === '' ? null : Number(value);
+}
+
+// Returns a list of problems with a destination's timeout, rate limits and success criteria
+export function validateRequestOptions({ timeout_ms, rate_limit_per_second, rate_limit_per_minute, success_match_type, success_pattern }) {
+  const errors = [];
+  const timeout = Number(timeout_ms);
+
+  for (const [label, value] of [['per second', rate_limit_per_second], ['per minute', rate_limit_per_minute]]) {
+    const limit = parseRateLimit(value);
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      errors.push(`Rate limit ${label} must be a whole number of at least 1 (empty for unlimited)`);
+    }
+  }
+
+  if (!Number.isInteger(timeout) || timeout < MIN_TIMEOUT_MS || timeout > MAX_TIMEOUT_MS) {
+    errors.push(`Timeout must be a whole number of milliseconds between ${MIN_TIMEOUT_MS} and ${MAX_TIMEOUT_MS}`);
+  }
+
+  if (!SUCCESS_MATCH_TYPES.includes(success_match_type)) {
+    errors.push(`Success match type must be one of: ${SUCCESS_MATCH_TYPES.join(', ')}`);
+  } else if (success_match_type !== 'none') {
+    if (!success_pattern) {
+      errors.push('Success pattern is required when a success match type is set');
+    } else if (success_match_type === 'regex') {
+      try {
+        new RegExp(success_pattern);
+      } catch (error) {
+        errors.push(`Invalid success regex: ${error.message}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Substitute macros; every substituted value is URL-encoded
+export function renderTemplate(template, values) {
+  return template.replace(MACRO_PATTERN, (macro, name, chain) => {
+    let value = values[name];
+
+    for (const helper of parseHelpers(chain)) {
+      const apply = TEMPLATE_HELPERS[helper.name];
+      if (!apply) {
+        throw new Error(`Unknown template helper "${helper.name}" in ${macro}`);
+      }
+      value = apply(value, helper.arg);
+    }
+
+    return encodeURIComponent(value === undefined || value === null ? '' : String(value));
+  });
+}
+
+export async function getDestinations({ enabledOnly = false } = {}) {
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    `SELECT * FROM postback_destinations ${enabledOnly ? 'WHERE enabled = 1' : ''} ORDER BY id ASC`
+  );
+  return rows;
+}
+
+export async function getDestination(id) {
+  const pool = getPool();
+  const [rows] = await pool.execute('SELECT * FROM postback_destinations WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+
+// Build the macro values for one postback; txid defaults to a fresh unique id and business_date
+// (YYYY-MM-DD) to today in the business timezone
+export async function buildMacroValues({ clickid, amount, txid, status = 'approved', currency, businessDate }) {
+  const settings = await getAllSettings();
+
+  return {
+    clickid,
+    sum: amount,
+    txid: txid || crypto.randomUUID(),
+    status,
+    currency: currency || settings.currency.value,
+    timestamp: Math.floor(Date.now() / 1000),
+    business_date: businessDate || getBusinessClock(settings.business_timezone.value, new Date()).businessDate
+  };
+}
+
+// Resolve the enabled destinations and the macro values for one conversion. All destinations share the
+// same values, including the txid and business date; each caller renders the URLs itself, so a broken
+// template only affects its own destination.
+export async function resolveDestinations(params) {
+  const destinations = await getDestinations({ enabledOnly: true });
+
+  if (destinations.length === 0) {
+    throw new Error('No enabled postback destination configured');
+  }
+
+  const values = await buildMacroValues(params);
+
+  return {
+    txid: values.txid,
+    businessDate: values.business_date,
+    values,
+    destinations
+  };
+}
+
+export async function createDestination({
+  name,
+  url_template,
+  enabled = true,
+  sandbox = false,
+  timeout_ms = 10000,
+  rate_limit_per_second = null,
+  rate_limit_per_minute = null,
+  success_match_type = 'none',
+  success_pattern = null
+}) {
+  const errors = validateTemplate(url_template);
+  errors.push(...validateRequestOptions({ timeout_ms, rate_limit_per_second, rate_limit_per_minute, success_match_type, success_pattern }));
+  if (!name) errors.push('Name is required');
+  if (errors.length > 0) {
+    throw new DestinationValidationError(errors.join('; '));
+  }
+
+  const pool = getPool();
+  const [result] = await pool.execute(
+    `INSERT INTO postback_destinations
+     (name, url_template, enabled, sandbox, timeout_ms, rate_limit_per_second, rate_limit_per_minute, success_match_type, success_pattern)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      name,
+      url_template,
+      enabled ? 1 : 0,
+      sandbox ? 1 : 0,
+      Number(timeout_ms),
+      parseRateLimit(rate_limit_per_second),
+      parseRateLimit(rate_limit_per_minute),
+      success_match_type,
+      success_pattern || null
+    ]
+  );
+  return await getDestination(result.insertId);
+}
+
+export async function updateDestination(id, changes) {
+  const existing = await getDestination(id);
+  if (!existing) {
+    throw new DestinationValidationError(`Destination ${id} not found`);
+  }
+
+  const updated = {
+    name: changes.name ?? existing.name,
+    url_template: changes.url_template ?? existing.url_template,
+    enabled: changes.enabled ?? Boolean(existing.enabled),
+    sandbox: changes.sandbox ?? Boolean(existing.sandbox),
+    timeout_ms: changes.timeout_ms ?? existing.timeout_ms,
+    rate_limit_per_second: changes.rate_limit_per_second !== undefined ? changes.rate_limit_per_second : existing.rate_limit_per_second,
+    rate_limit_per_minute: changes.rate_limit_per_minute !== undefined ? changes.rate_limit_per_minute : existing.rate_limit_per_minute,
+    success_match_type: changes.success_match_type ?? existing.success_match_type,
+    success_pattern: changes.success_pattern ?? existing.success_pattern
+  };
+
+  const errors = validateTemplate(updated.url_template);
+  errors.push(...validateRequestOptions(updated));
+  if (!updated.name) errors.push('Name is required');
+  if (errors.length > 0) {
+    throw new DestinationValidationError(errors.join('; '));
+  }
+
+  const pool = getPool();
+  await pool.execute(
+    `UPDATE postback_destinations
+     SET name = ?, url_template = ?, enabled = ?, sandbox = ?, timeout_ms = ?,
+         rate_limit_per_second = ?, rate_limit_per_minute = ?, success_match_type = ?, success_pattern = ?
+     WHERE id = ?`,
+    [
+      updated.name,
+      updated.url_template,
+      updated.enabled ? 1 : 0,
+      updated.sandbox ? 1 : 0,
+      Number(updated.timeout_ms),
+      parseRateLimit(updated.rate_limit_per_second),
+      parseRateLimit(updated.rate_limit_per_minute),
+      updated.success_match_type,
+      updated.success_pattern || null,
+      id
+    ]
+  );
+  return await getDestination(id);
+}
+
+export async function deleteDestination(id) {
+  const pool = getPool();
+  const [result] = await pool.execute('DELETE FROM postback_destinations WHERE id = ?', [id]);
+  return result.affectedRows;
+}
@@ -0,0 +1,408 @@
+// File: lib/flush.js
+import { logConversion, claimCachedConversions, renewCachedClaim, completeCachedClaim, releaseCachedClaim } from './database.js';
+import { markReturnedToCache } from './postback.js';
+import { allocateBatch, deliverAllocations, returnUndeliveredAllocations } from './allocation.js';
+import { getCacheConfig, getFlushCacheKeys, describeCacheKey } from './cacheMode.js';
+import { acquireFlushLock, renewFlushLock, releaseFlushLock } from './flushLock.js';
+import { getBusinessDate, startFlushRun, finishFlushRun, recordClaimedConversions, settleClaimedConversions } from './flushRuns.js';
+
+// What started a flush; recorded in the flush log and used as the postback source
+// ('conversion' = a flush policy fired right after a conversion was cached; older runs only, ingestion
+// no longer flushes)
+export const FLUSH_TRIGGERS = ['cron', 'scheduler', 'conversion', 'force', 'manual', 'api'];
+
+// Flush the cache: one batch of everything in global mode, one batch per cache key otherwise.
+// Every trigger goes through here so they share claiming, allocation, logging and the result schema.
+// `cacheKeys` limits the flush to those keys (a null key claims every row) instead of the cache mode's
+// default batches; `policy` names the flush policy that fired it, if any (see lib/flushPolicy.js).
+// The flush holds the flush lock throughout; callers that already hold it pass it as `lock`. When
+// someone else holds it nothing is claimed or sent and the status is 'locked'.
+// Every flush that gets the lock is recorded as a flush run (see lib/flushRuns.js); policy flushes pass
+// the run they already started as `runId` and its `businessDate`. Postbacks are tagged with the business
+// date of the run. `cutoff` limits the flush to rows cached at or before that time (catch-up of a past date),
+// `minAgeHours` to rows at least that old by the database clock (expired rows), and `strategy` overrides
+// the configured allocation strategy.
+// {
+//   trigger, policy, flushRunId, status ('sent' | 'queued' | 'failed' | 'empty' | 'locked'), success, queued, message,
+//   totalAmount, claimedEntries, clearedEntries, clickidUsed, error, startedAt, finishedAt,
+//   batches: [{ cacheKey, status ('sent' | 'queued' | 'failed' | 'empty' | 'error'), success, queued, message,
+//               totalAmount, claimedEntries, clearedEntries, releasedEntries, returnedAmount, strategy, allocations,
+//               clickidUsed, destinations, error, stopped (the flush lock or claim was lost mid-delivery) }]
+// }
+export async function runFlush({ trigger, cacheKeys = null, policy = null, lock = null, runId = null, businessDate = null, cutoff = null, minAgeHours = null, strategy = null }) {
+  if (!FLUSH_TRIGGERS.includes(trigger)) {
+    throw new Error(`Unknown flush trigger: ${trigger}`);
+  }
+
+  const startedAt = new Date();
+  const origin = policy ? `trigger: ${trigger}, policy: ${policy}` : `trigger: ${trigger}`;
+
+  const ownLock = lock ? null : await acquireFlushLock(`flush-${trigger}`);
+
+  if (!lock && !ownLock) {
+    await logConversion({
+      clickid: `flush-${trigger}`,
+      action: 'flush_locked',
+      message: `Cache flush skipped (${origin}): flush already in progress`
+    });
+
+    return lockedResult(trigger, policy, startedAt);
+  }
+
+  try {
+    let flushRunId = runId;
+    let runDate = businessDate;
+    if (!flushRunId) {
+      const current = await getBusinessDate(startedAt);
+      flushRunId = await startFlushRun({ ...current, trigger, policy: 'manual' });
+      runDate = current.businessDate;
+    }
+
+    try {
+      await logConversion({
+        clickid: `flush-${trigger}`,
+        action: 'flush_started',
+        message: `Cache flush started (${origin}, run #${flushRunId}, business date ${runDate}${cutoff ? `, rows cached until ${cutoff.toISOString()}` : ''}${minAgeHours ? `, rows cached over ${minAgeHours}h ago` : ''})`
+      });
+
+      const keys = cacheKeys ?? await getFlushCacheKeys(await getCacheConfig());
+      const batches = [];
+
+      for (const cacheKey of keys) {
+        const batch = await flushBatch(cacheKey, { trigger, lock: lock || ownLock, flushRunId, businessDate: runDate, cutoff, minAgeHours, strategy });
+        batches.push(batch);
+
+        // Another flush may own the cache once the lease ran out: leave the remaining keys to it
+        if (batch.stopped || !await renewFlushLock(lock || ownLock)) {
+          await logConversion({
+            clickid: `flush-${trigger}`,
+            action: 'flush_lock_lost',
+            message: `Cache flush stopped (${origin}, run #${flushRunId}): the flush lock expired and may have been taken over; ${keys.length - batches.length} cache batch(es) left for the next flush`
+          });
+          break;
+        }
+      }
+
+      const result = summarizeFlush(trigger, policy, flushRunId, startedAt, batches);
+
+      await finishFlushRun(flushRunId, {
+        status: result.status,
+        rowsClaimed: result.claimedEntries,
+        totalAmount: result.totalAmount,
+        error: result.error
+      });
+
+      await logConversion({
+        clickid: `flush-${trigger}`,
+        total_sent: result.totalAmount,
+        action: result.success ? 'flush_completed' : 'flush_incomplete',
+        message: `Cache flush finished (${origin}, run #${flushRunId}, status: ${result.status}): ${result.message}. Total: $${result.totalAmount.toFixed(2)}${result.error ? `, Error: ${result.error}` : ''}`
+      });
+
+      return result;
+    } catch (error) {
+      await finishFlushRun(flushRunId, { status: 'error', error: error.message });
+      throw error;
+    }
+  } finally {
+    if (ownLock) {
+      await releaseFlushLock(ownLock);
+    }
+  }
+}
+
+// HTTP status for endpoints that return a flush result
+export function getFlushHttpStatus(result) {
+  if (result.status === 'locked') return 409;
+  return result.success ? 200 : 500;
+}
+
+function lockedResult(trigger, policy, startedAt) {
+  return {
+    trigger,
+    policy,
+    flushRunId: null,
+    status: 'locked',
+    success: false,
+    queued: false,
+    inProgress: true,
+    message: 'Flush already in progress',
+    totalAmount: 0,
+    claimedEntries: 0,
+    clearedEntries: 0,
+    clickidUsed: null,
+    error: 'Flush already in progress',
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    batches: []
+  };
+}
+
+function summarizeFlush(trigger, policy, flushRunId, startedAt, batches) {
+  const failed = batches.filter(batch => !batch.success);
+  const success = failed.length === 0;
+
+  let status;
+  if (success) {
+    status = batches.every(batch => batch.status === 'empty') ? 'empty' : 'sent';
+  } else {
+    status = failed.every(batch => batch.status === 'queued') ? 'queued' : 'failed';
+  }
+
+  const messages = {
+    empty: 'No cached conversions to process',
+    sent: batches.length === 1 ? 'Postback sent successfully and cache cleared' : `Flushed ${batches.length} cache batches successfully`,
+    queued: 'Postback not fully delivered - remaining destinations queued in outbox, claimed entries cleared',
+    failed: batches.length === 1 ? batches[0].message : `${failed.length} of ${batches.length} cache batches failed`
+  };
+
+  return {
+    trigger,
+    policy,
+    flushRunId,
+    status,
+    success,
+    queued: batches.some(batch => batch.queued),
+    message: messages[status],
+    totalAmount: batches.reduce((sum, batch) => sum + batch.totalAmount, 0),
+    claimedEntries: batches.reduce((sum, batch) => sum + batch.claimedEntries, 0),
+    clearedEntries: batches.reduce((sum, batch) => sum + batch.clearedEntries, 0),
+    clickidUsed: batches.map(batch => batch.clickidUsed).filter(Boolean).join(', ') || null,
+    error: failed.map(batch => batch.error).filter(Boolean).join('; ') || null,
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    batches
+  };
+}
+
+function batchResult(cacheKey, fields) {
+  return {
+    cacheKey: describeCacheKey(cacheKey),
+    queued: false,
+    totalAmount: 0,
+    claimedEntries: 0,
+    clearedEntries: 0,
+    releasedEntries: 0,
+    returnedAmount: 0,
+    strategy: null,
+    stopped: false,
+    allocations: [],
+    clickidUsed: null,
+    destinations: [],
+    error: null,
+    ...fields
+  };
+}
+
+async function flushBatch(cacheKey, { trigger, lock, flushRunId, businessDate, cutoff, minAgeHours, strategy }) {
+  const actor = `flush-${trigger}`;
+  // Cached rows claimed by this run; handed back to the cache if we fail before resolving them
+  let claim = null;
+
+  try {
+    // Atomically claim the cached rows of this batch (every row when cacheKey is null)
+    claim = await claimCachedConversions(cacheKey, { before: cutoff, minAgeHours });
+    const totalCached = claim.total;
+
+    if (claim.rows.length === 0 || totalCached <= 0) {
+      await releaseCachedClaim(claim.batchId);
+      claim = null;
+
+      await logConversion({
+        clickid: actor,
+        action: 'flush_no_cache',
+        message: `No cached conversions to process (trigger: ${trigger}, cache: ${describeCacheKey(cacheKey)}, total: $${totalCached.toFixed(2)})`
+      });
+
+      return batchResult(cacheKey, {
+        status: 'empty',
+        success: true,
+        message: 'No cached conversions to process',
+        totalAmount: totalCached
+      });
+    }
+
+    await recordClaimedConversions(flushRunId, claim);
+
+    // Split the batch between clickids according to the allocation strategy
+    const allocation = await allocateBatch(cacheKey, claim.rows, actor, { strategy });
+    const primaryClickid = allocation.primaryClickid;
+
+    await logConversion({
+      clickid: primaryClickid,
+      action: 'flush_postback_preparing',
+      cached_amount: totalCached,
+      total_sent: totalCached,
+      message: `Preparing flush postback (trigger: ${trigger}). Cache: ${describeCacheKey(cacheKey)}, Total cached: $${totalCached.toFixed(2)} from ${claim.rows.length} entries, allocation: ${allocation.strategy} (${allocation.clickidUsed})`
+    });
+
+    await logConversion({
+      clickid: primaryClickid,
+      action: 'flush_postback_allocation',
+      cached_amount: totalCached,
+      message: `Allocation strategy ${allocation.strategy}: ${allocation.breakdown}`
+    });
+
+    // Deliver every allocation to every enabled postback destination. A delivery can outlast the flush
+    // lock and claim leases, so both are renewed after every allocation; once either is lost another
+    // flush may take these rows, and the rest is not sent.
+    const batchId = claim.batchId;
+    let claimLost = false;
+    const keepAlive = async () => {
+      if (await renewCachedClaim(batchId) === 0) {
+        claimLost = true;
+        return false;
+      }
+      return renewFlushLock(lock);
+    };
+
+    const delivery = await deliverAllocations(allocation, { source: trigger, flushRunId, businessDate, keepAlive });
+
+    // The outcome is known from here on; don't let the error handler release a delivered batch
+    const batch = claim;
+    claim = null;
+
+    const details = {
+      totalAmount: totalCached,
+      claimedEntries: batch.rows.length,
+      stopped: delivery.stopped,
+      strategy: allocation.strategy,
+      allocations: delivery.allocations.map(item => ({
+        clickid: item.clickid,
+        amount: item.amount,
+        contributed: item.contributed,
+        conversions: item.conversions,
+        chunk: item.chunk,
+        success: item.delivery.success,
+        accepted: item.delivery.accepted,
+        txid: item.delivery.txid || null
+      })),
+      clickidUsed: allocation.clickidUsed,
+      destinations: delivery.results
+    };
+
+    if (claimLost) {
+      // The rows went back to the cache and may be claimed again, so they are no longer this batch's to
+      // clear or return. Only an allocation outlasting the whole claim lease gets here.
+      await logConversion({
+        clickid: primaryClickid,
+        action: 'flush_claim_lost',
+        cached_amount: totalCached,
+        message: `Flush claim ${batch.batchId} expired during delivery (trigger: ${trigger}); remaining allocations not sent. ${delivery.summary}`
+      });
+
+      return batchResult(cacheKey, {
+        ...details,
+        status: 'error',
+        success: false,
+        message: 'Claim expired during delivery - remaining allocations not sent',
+        error: 'Claim expired during delivery'
+      });
+    }
+
+    await logConversion({
+      clickid: primaryClickid,
+      action: delivery.success ? 'flush_postback_success' : 'flush_postback_failed',
+      cached_amount: totalCached,
+      total_sent: totalCached,
+      message: delivery.success
+        ? `Flush postback successful (trigger: ${trigger}). Amount: $${totalCached.toFixed(2)}, Response: ${delivery.responseText}`
+        : `Flush postback failed (trigger: ${trigger}). Amount: $${totalCached.toFixed(2)}, Error: ${delivery.errorMessage}${delivery.accepted ? ` (${delivery.summary})` : ''}`
+    });
+
+    if (delivery.success) {
+      // Remove exactly the rows this batch claimed
+      const clearedRows = await completeCachedClaim(batch.batchId);
+      await settleClaimedConversions(flushRunId, batch.batchId, 'consumed');
+
+      await logConversion({
+        clickid: primaryClickid,
+        action: 'flush_cache_cleared',
+        message: `Flush completed successfully (trigger: ${trigger}). Cache cleared: ${clearedRows} entries. Total sent: $${totalCached.toFixed(2)}`
+      });
+
+      return batchResult(cacheKey, {
+        ...details,
+        status: 'sent',
+        success: true,
+        message: 'Postback sent successfully and cache cleared',
+        clearedEntries: clearedRows
+      });
+    }
+
+    if (delivery.accepted) {
+      // At least one destination delivered or queued the amount, so the rows must not go back to the cache
+      const clearedRows = await completeCachedClaim(batch.batchId);
+      await settleClaimedConversions(flushRunId, batch.batchId, 'consumed');
+      // Allocations nobody accepted go back to the cache
+      const returnedAmount = await returnUndeliveredAllocations(delivery);
+
+      await logConversion({
+        clickid: primaryClickid,
+        action: 'flush_postback_queued',
+        cached_amount: totalCached,
+        total_sent: totalCached,
+        message: `Flush postback was not fully delivered (trigger: ${trigger}, ${delivery.summary}). Claimed cache cleared: ${clearedRows} entries. Amount: $${totalCached.toFixed(2)}${returnedAmount > 0 ? `, returned $${returnedAmount.toFixed(2)} of undelivered allocations to the cache` : ''}`
+      });
+
+      return batchResult(cacheKey, {
+        ...details,
+        status: 'queued',
+        success: false,
+        queued: true,
+        message: 'Postback not fully delivered - remaining destinations queued in outbox, claimed entries cleared',
+        clearedEntries: clearedRows,
+        returnedAmount,
+        error: delivery.errorMessage
+      });
+    }
+
+    const releasedRows = await releaseCachedClaim(batch.batchId);
+    await settleClaimedConversions(flushRunId, batch.batchId, 'returned');
+    // The amount is back in the cache, so the failed postbacks must not be replayed on top of it
+    await markReturnedToCache(delivery);
+
+    await logConversion({
+      clickid: primaryClickid,
+      action: 'flush_postback_failed_final',
+      message: `Flush postback failed (trigger: ${trigger}). Returned ${releasedRows} claimed entries to cache. Amount: $${totalCached.toFixed(2)}, Error: ${delivery.errorMessage}`
+    });
+
+    return batchResult(cacheKey, {
+      ...details,
+      status: 'failed',
+      success: false,
+      message: 'Postback failed - claimed entries returned to cache',
+      releasedEntries: releasedRows,
+      error: delivery.errorMessage
+    });
+
+  } catch (error) {
+    console.error('Flush batch error:', error);
+
+    await logConversion({
+      clickid: actor,
+      action: 'flush_execution_error',
+      message: `Flush execution error (trigger: ${trigger}, cache: ${describeCacheKey(cacheKey)}): ${error.message}`
+    });
+
+    let releasedRows = 0;
+    if (claim) {
+      try {
+        releasedRows = await releaseCachedClaim(claim.batchId);
+        await settleClaimedConversions(flushRunId, claim.batchId, 'returned');
+      } catch (releaseError) {
+        console.error('Failed to release cache claim:', releaseError);
+      }
+    }
+
+    return batchResult(cacheKey, {
+      status: 'error',
+      success: false,
+      message: 'Flush execution error',
+      claimedEntries: claim ? claim.rows.length : 0,
+      releasedEntries: releasedRows,
+      error: error.message
+    });
+  }
+}
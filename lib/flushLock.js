@@ -0,0 +1,64 @@
+// File: lib/flushLock.js
+import crypto from 'crypto';
+import { getPool } from './database.js';
+
+// One lock for everything that claims and sends cached conversions: every flush trigger, the flush
+// policies and conversions at or above the threshold. It lives in MySQL so it holds across instances.
+const FLUSH_LOCK_NAME = 'cache_flush';
+
+// A holder that dies mid-flush blocks others for at most this long; long flushes renew it between batches
+const FLUSH_LOCK_LEASE_SECONDS = 300;
+
+// Returns the lock ({ name, owner }) or null when someone else holds it
+export async function acquireFlushLock(holder) {
+  const pool = getPool();
+  const owner = `${holder}:${crypto.randomUUID()}`;
+
+  // Take over a lock whose holder let the lease run out
+  await pool.execute(
+    'DELETE FROM flush_locks WHERE lock_name = ? AND expires_at < NOW()',
+    [FLUSH_LOCK_NAME]
+  );
+
+  const [result] = await pool.execute(
+    `INSERT IGNORE INTO flush_locks (lock_name, owner, acquired_at, expires_at)
+     VALUES (?, ?, NOW(), NOW() + INTERVAL ? SECOND)`,
+    [FLUSH_LOCK_NAME, owner, FLUSH_LOCK_LEASE_SECONDS]
+  );
+
+  return result.affectedRows > 0 ? { name: FLUSH_LOCK_NAME, owner } : null;
+}
+
+// Extend the lease; returns false when the lock expired and was taken over in the meantime
+export async function renewFlushLock(lock) {
+  const pool = getPool();
+  const [result] = await pool.execute(
+    `UPDATE flush_locks SET expires_at = NOW() + INTERVAL ? SECOND
+     WHERE lock_name = ? AND owner = ?`,
+    [FLUSH_LOCK_LEASE_SECONDS, lock.name, lock.owner]
+  );
+  return result.affectedRows > 0;
+}
+
+export async function releaseFlushLock(lock) {
+  try {
+    const pool = getPool();
+    await pool.execute(
+      'DELETE FROM flush_locks WHERE lock_name = ? AND owner = ?',
+      [lock.name, lock.owner]
+    );
+  } catch (error) {
+    // The lease expires on its own, so a failed release only delays the next flush
+    console.error('Failed to release flush lock:', error);
+  }
+}
+
+// Current holder ({ owner, acquired_at, expires_at }) or null
+export async function getFlushLockHolder() {
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    'SELECT owner, acquired_at, expires_at FROM flush_locks WHERE lock_name = ? AND expires_at >= NOW()',
+    [FLUSH_LOCK_NAME]
+  );
+  return rows[0] || null;
+}
@@ -0,0 +1,440 @@
+// File: lib/flushPolicy.js
+import { logConversion, getCacheKeyStats } from './database.js';
+import { getAllSettings } from './settings.js';
+import { runFlush } from './flush.js';
+import { getCacheConfig, describeCacheKey } from './cacheMode.js';
+import { getBusinessClock, getLatestOccurrence, getNextOccurrence, parseTimeList, addDays, zonedTimeToDate } from './businessDay.js';
+import { acquireFlushLock, renewFlushLock, releaseFlushLock } from './flushLock.js';
+import { getExpiredCacheSummary, recordFlushedExpiries, moveExpiredConversions } from './cacheExpiry.js';
+import {
+  startFlushRun,
+  claimScheduledRun,
+  isWindowPending,
+  listScheduledRuns,
+  getFirstActivityAt,
+  COMPLETED_RUN_STATUSES
+} from './flushRuns.js';
+
+// Policies that flush the cache automatically. They can be combined; manual, force and API flushes are not policies.
+//   schedule  - at each configured local time, at most once per business day per time
+//   catchup   - past business dates whose last scheduled flush never completed, oldest first
+//   expiry    - cached conversions older than the cache TTL, each to its own clickid (expiry action 'flush';
+//               the other expiry actions move them to the expired_conversions ledger without a flush)
+//   threshold - on the first evaluation after the cache total (global or per key) went above the configured amount
+//   max_age   - on the first evaluation after the oldest cached conversion of a key waited longer than the configured hours
+export const FLUSH_POLICIES = ['schedule', 'catchup', 'expiry', 'threshold', 'max_age'];
+
+// How long after a scheduled time a tick may still run (or retry) that window's flush
+const RUN_GRACE_MINUTES = 120;
+
+// A missed business date whose catch-up keeps failing is given up (and left on the dashboard) after this many
+const CATCHUP_MAX_ATTEMPTS = 10;
+
+export async function getFlushPolicyConfig(now = new Date()) {
+  const settings = await getAllSettings();
+  const timeZone = settings.business_timezone.value;
+
+  return {
+    timeZone,
+    windows: parseTimeList(settings.flush_windows.value) || [],
+    thresholdAmount: settings.flush_threshold_amount.value,
+    thresholdScope: settings.flush_threshold_scope.value,
+    maxAgeHours: settings.flush_max_age_hours.value,
+    catchupDays: Math.floor(settings.flush_catchup_days.value),
+    ttlHours: settings.cache_ttl_hours.value,
+    expiryAction: settings.cache_expiry_action.value,
+    now,
+    clock: getBusinessClock(timeZone, now)
+  };
+}
+
+// A run may outlast the lock's lease, after which another flush may own the cache. Renewed before every
+// run; once that fails the lock is flagged as lost and no later policy of this evaluation starts.
+async function holdsLock(lock) {
+  if (!lock.lost && !await renewFlushLock(lock)) {
+    lock.lost = true;
+  }
+  return !lock.lost;
+}
+
+async function executeRun(runId, { trigger, policy, detail, businessDate, lock, cacheKeys = null, cutoff = null, minAgeHours = null, strategy = null }) {
+  await logConversion({
+    clickid: `flush-${trigger}`,
+    action: 'flush_policy_fired',
+    message: `Flush policy ${policy} fired for business date ${businessDate}: ${detail} (trigger: ${trigger}, run #${runId})`
+  });
+
+  // runFlush records the outcome on the run, including an error it throws
+  const result = await runFlush({ trigger, cacheKeys, policy, lock, runId, businessDate, cutoff, minAgeHours, strategy });
+  return { ...result, policyDetail: detail, businessDate };
+}
+
+// Scheduled windows: each runs on the first evaluation at or after its local time. Business dates come
+// from the configured IANA timezone, so a window stays at the same wall-clock time across DST changes
+// whatever the server or database timezone.
+async function runDueWindows(config, trigger, lock) {
+  const runs = [];
+
+  for (const window of config.windows) {
+    const occurrence = getLatestOccurrence(config.clock, window);
+    if (occurrence.minutesLate > RUN_GRACE_MINUTES) continue;
+    if (!await holdsLock(lock)) break;
+
+    const detail = `scheduled ${window} ${config.timeZone}`;
+    const runId = await claimScheduledRun({ businessDate: occurrence.businessDate, window, timeZone: config.timeZone, trigger, detail });
+    if (!runId) continue;
+
+    runs.push(await executeRun(runId, { trigger, policy: 'schedule', detail, businessDate: occurrence.businessDate, lock }));
+  }
+
+  return runs;
+}
+
+// Past business dates within the catch-up period whose last scheduled window has no completed run in
+// flush_runs (legacy runs, the daily flushes before flush_runs existed, complete their date), oldest first:
+// [{ businessDate, window, cutoff, status, attempts (catch-up attempts so far), exhausted }].
+// The last window of a day closes it, so its catch-up flushes the rows cached up to that time (`cutoff`).
+// A completed run of a later window (the schedule was moved) counts too. The most recent occurrence is
+// left to the schedule until its grace period ends, and dates before the first logged activity are never missed.
+async function findMissedDates(config) {
+  if (config.windows.length === 0 || !(config.catchupDays > 0)) return [];
+
+  const firstActivity = await getFirstActivityAt();
+  if (!firstActivity) return [];
+
+  const window = config.windows[config.windows.length - 1];
+  const latest = getLatestOccurrence(config.clock, window);
+  const to = latest.minutesLate > RUN_GRACE_MINUTES ? latest.businessDate : addDays(latest.businessDate, -1);
+
+  const firstDate = getBusinessClock(config.timeZone, firstActivity).businessDate;
+  const earliest = addDays(to, 1 - config.catchupDays);
+  const from = firstDate > earliest ? firstDate : earliest;
+  if (from > to) return [];
+
+  const runs = await listScheduledRuns(from, to);
+  const completed = new Set(runs
+    .filter(run => COMPLETED_RUN_STATUSES.includes(run.status) && (run.policy === 'legacy' || run.schedule_window >= window))
+    .map(run => run.business_date));
+
+  const candidates = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (!completed.has(date)) candidates.push(date);
+  }
+
+  const missed = [];
+  for (const date of candidates) {
+    const run = runs.find(item => item.business_date === date && item.schedule_window === window);
+    const attempts = run && run.policy === 'catchup' ? run.attempts : 0;
+
+    missed.push({
+      businessDate: date,
+      window,
+      cutoff: zonedTimeToDate(date, window, config.timeZone),
+      status: run ? run.status : null,
+      attempts,
+      exhausted: attempts >= CATCHUP_MAX_ATTEMPTS
+    });
+  }
+
+  return missed;
+}
+
+// Flush each missed business date on its own, limited to what was cached by the end of that date, so
+// the postbacks carry the date they belong to
+async function runMissedDates(config, missed, trigger, lock) {
+  const runs = [];
+
+  for (const item of missed) {
+    if (item.exhausted) continue;
+    if (!await holdsLock(lock)) break;
+
+    const detail = `catch-up of missed ${item.window} ${config.timeZone} flush for ${item.businessDate}`;
+    const runId = await claimScheduledRun({
+      businessDate: item.businessDate,
+      window: item.window,
+      timeZone: config.timeZone,
+      trigger,
+      detail,
+      policy: 'catchup',
+      maxAttempts: CATCHUP_MAX_ATTEMPTS
+    });
+    if (!runId) continue;
+
+    runs.push(await executeRun(runId, {
+      trigger,
+      policy: 'catchup',
+      detail,
+      businessDate: item.businessDate,
+      lock,
+      cutoff: item.cutoff
+    }));
+  }
+
+  return runs;
+}
+
+// Missed scheduled flushes for the dashboard: { timeZone, catchupDays, dates: [...] } (see findMissedDates)
+export async function getMissedFlushDates(now = new Date()) {
+  const config = await getFlushPolicyConfig(now);
+  return { timeZone: config.timeZone, catchupDays: config.catchupDays, dates: await findMissedDates(config) };
+}
+
+// Cached rows older than the TTL, whatever their cache key: flushed one postback per clickid as an
+// 'expiry' run, or moved to the ledger (write off / review). Returns { runs, expired } where `expired`
+// ({ action, count, amount }) is null when nothing had expired.
+async function runCacheExpiry(config, trigger, lock) {
+  if (!(config.ttlHours > 0)) return { runs: [], expired: null };
+
+  const summary = await getExpiredCacheSummary(config.ttlHours);
+  if (summary.count === 0 || !await holdsLock(lock)) return { runs: [], expired: null };
+
+  const businessDate = config.clock.businessDate;
+  const reason = `Cached longer than the ${config.ttlHours}h TTL`;
+
+  if (config.expiryAction === 'flush') {
+    const detail = `${summary.count} cached conversions ($${summary.amount.toFixed(2)}) older than ${config.ttlHours}h`;
+    const runId = await startFlushRun({ businessDate, timeZone: config.timeZone, trigger, policy: 'expiry', detail });
+    const run = await executeRun(runId, {
+      trigger,
+      policy: 'expiry',
+      detail,
+      businessDate,
+      lock,
+      cacheKeys: [null],
+      minAgeHours: config.ttlHours,
+      strategy: 'per_clickid'
+    });
+    await recordFlushedExpiries(runId, { businessDate, reason: `${reason}; flushed to its own clickid` });
+
+    return { runs: [run], expired: { action: 'flush', count: run.claimedEntries, amount: run.totalAmount } };
+  }
+
+  const moved = await moveExpiredConversions(config.ttlHours, { action: config.expiryAction, businessDate, reason });
+
+  await logConversion({
+    clickid: `flush-${trigger}`,
+    action: 'cache_expired',
+    message: `${moved.count} cached conversions ($${moved.amount.toFixed(2)}) older than ${config.ttlHours}h ${config.expiryAction === 'review' ? 'moved to the review list' : 'written off'} (trigger: ${trigger})`
+  });
+
+  return { runs: [], expired: { action: config.expiryAction, ...moved } };
+}
+
+// Threshold and max-age flushes that are due for the given per-key cache stats: [{ policy, detail, keyStats }].
+// A global threshold flush takes everything, so nothing else is due after it; keys flushed for the
+// threshold are not flushed again for their age.
+function getDueCachePolicies(config, stats, globalMode) {
+  const due = [];
+  let remaining = stats;
+
+  if (config.thresholdAmount > 0) {
+    const limit = `$${config.thresholdAmount.toFixed(2)}`;
+
+    if (globalMode || config.thresholdScope === 'global') {
+      const total = stats.reduce((sum, item) => sum + item.total, 0);
+      if (total > config.thresholdAmount) {
+        return [{ policy: 'threshold', detail: `cache total $${total.toFixed(2)} exceeded ${limit}`, keyStats: stats }];
+      }
+    } else {
+      const over = stats.filter(item => item.total > config.thresholdAmount);
+      if (over.length > 0) {
+        due.push({
+          policy: 'threshold',
+          detail: `${over.map(item => `${describeCacheKey(item.cacheKey)} $${item.total.toFixed(2)}`).join(', ')} exceeded ${limit}`,
+          keyStats: over
+        });
+        remaining = stats.filter(item => !over.includes(item));
+      }
+    }
+  }
+
+  if (config.maxAgeHours > 0) {
+    const stale = remaining.filter(item => item.ageSeconds > config.maxAgeHours * 3600);
+
+    if (stale.length > 0) {
+      const oldestHours = Math.max(...stale.map(item => item.ageSeconds)) / 3600;
+      const keys = globalMode ? '' : ` (${stale.map(item => describeCacheKey(item.cacheKey)).join(', ')})`;
+      due.push({
+        policy: 'max_age',
+        detail: `oldest cached conversion ${oldestHours.toFixed(1)}h old exceeded ${config.maxAgeHours}h${keys}`,
+        keyStats: stale
+      });
+    }
+  }
+
+  return due;
+}
+
+// Threshold and max-age policies, evaluated against what is cached right now
+async function runCachePolicies(config, trigger, lock) {
+  if (!(config.thresholdAmount > 0) && !(config.maxAgeHours > 0)) return [];
+
+  const stats = await getCacheKeyStats();
+  if (stats.length === 0) return [];
+
+  // In global mode a flush always takes every cached row, so the keys don't matter
+  const globalMode = (await getCacheConfig()).mode === 'global';
+  const runs = [];
+
+  for (const { policy, detail, keyStats } of getDueCachePolicies(config, stats, globalMode)) {
+    if (!await holdsLock(lock)) break;
+
+    // Threshold and max-age flushes may fire any number of times a day, so they have no schedule window
+    const runId = await startFlushRun({ businessDate: config.clock.businessDate, timeZone: config.timeZone, trigger, policy, detail });
+    runs.push(await executeRun(runId, {
+      trigger,
+      policy,
+      detail,
+      businessDate: config.clock.businessDate,
+      lock,
+      cacheKeys: globalMode ? [null] : keyStats.map(item => item.cacheKey)
+    }));
+  }
+
+  return runs;
+}
+
+// Threshold and max-age policies due right now, without flushing: [{ policy, detail }]. Cheap enough
+// for the ingestion path, which leaves the flush itself to the next evaluateFlushPolicies tick.
+export async function getDueFlushPolicies(now = new Date()) {
+  const config = await getFlushPolicyConfig(now);
+  if (!(config.thresholdAmount > 0) && !(config.maxAgeHours > 0)) return [];
+
+  const stats = await getCacheKeyStats();
+  if (stats.length === 0) return [];
+
+  const globalMode = (await getCacheConfig()).mode === 'global';
+  return getDueCachePolicies(config, stats, globalMode).map(({ policy, detail }) => ({ policy, detail }));
+}
+
+// When each enabled policy fires next, soonest first, without running or recording anything:
+// [{ policy, detail, dueNow, at }] where `at` is an ISO timestamp, or null when it depends on future conversions
+export async function getUpcomingFlushPolicies(now = new Date()) {
+  const config = await getFlushPolicyConfig(now);
+  const upcoming = [];
+
+  for (const item of await findMissedDates(config)) {
+    if (item.exhausted) continue;
+    upcoming.push({ policy: 'catchup', detail: `catch-up of missed ${item.window} ${config.timeZone} flush for ${item.businessDate}`, dueNow: true, at: now.toISOString() });
+  }
+
+  if (config.ttlHours > 0 && config.expiryAction === 'flush') {
+    const expired = await getExpiredCacheSummary(config.ttlHours);
+    upcoming.push(expired.count > 0
+      ? { policy: 'expiry', detail: `${expired.count} cached conversions ($${expired.amount.toFixed(2)}) older than ${config.ttlHours}h go to their own clickids`, dueNow: true, at: now.toISOString() }
+      : { policy: 'expiry', detail: `cached conversions older than ${config.ttlHours}h go to their own clickids`, dueNow: false, at: null });
+  }
+
+  for (const window of config.windows) {
+    const latest = getLatestOccurrence(config.clock, window);
+
+    if (latest.minutesLate <= RUN_GRACE_MINUTES && await isWindowPending(latest.businessDate, window)) {
+      upcoming.push({ policy: 'schedule', detail: `scheduled ${window} ${config.timeZone} for ${latest.businessDate} is due`, dueNow: true, at: now.toISOString() });
+      continue;
+    }
+
+    const next = getNextOccurrence(config.clock, window);
+    upcoming.push({ policy: 'schedule', detail: `scheduled ${window} ${config.timeZone} for ${next.businessDate}`, dueNow: false, at: next.at.toISOString() });
+  }
+
+  if (config.thresholdAmount > 0 || config.maxAgeHours > 0) {
+    const stats = await getCacheKeyStats();
+    const globalMode = (await getCacheConfig()).mode === 'global';
+    const due = getDueCachePolicies(config, stats, globalMode);
+
+    for (const item of due) {
+      upcoming.push({ policy: item.policy, detail: item.detail, dueNow: true, at: now.toISOString() });
+    }
+
+    if (config.thresholdAmount > 0 && !due.some(item => item.policy === 'threshold')) {
+      const perKey = !globalMode && config.thresholdScope === 'per_key';
+      const current = perKey
+        ? Math.max(0, ...stats.map(item => item.total))
+        : stats.reduce((sum, item) => sum + item.total, 0);
+
+      upcoming.push({
+        policy: 'threshold',
+        detail: `when ${perKey ? 'a cache key' : 'the cache total'} exceeds $${config.thresholdAmount.toFixed(2)} (currently $${current.toFixed(2)})`,
+        dueNow: false,
+        at: null
+      });
+    }
+
+    if (config.maxAgeHours > 0 && !due.some(item => item.policy === 'max_age')) {
+      const oldestSeconds = stats.length > 0 ? Math.max(...stats.map(item => item.ageSeconds)) : null;
+
+      upcoming.push({
+        policy: 'max_age',
+        detail: oldestSeconds === null
+          ? `${config.maxAgeHours}h after the next conversion is cached`
+          : `when the oldest cached conversion (${(oldestSeconds / 3600).toFixed(1)}h old) passes ${config.maxAgeHours}h`,
+        dueNow: false,
+        at: oldestSeconds === null ? null : new Date(now.getTime() + (config.maxAgeHours * 3600 - oldestSeconds) * 1000).toISOString()
+      });
+    }
+  }
+
+  return upcoming.sort((a, b) => {
+    if (a.dueNow !== b.dueNow) return a.dueNow ? -1 : 1;
+    if (a.at === null || b.at === null) return (a.at === null) - (b.at === null);
+    return new Date(a.at) - new Date(b.at);
+  });
+}
+
+// Evaluate every flush policy and run the flushes that are due. Called on every cron / scheduler tick
+// (never from ingestion, see getDueFlushPolicies); cheap when nothing fires and safe to call concurrently.
+export async function evaluateFlushPolicies({ trigger, now = new Date() }) {
+  const config = await getFlushPolicyConfig(now);
+  const context = {
+    timezone: config.timeZone,
+    localTime: `${config.clock.businessDate} ${config.clock.localTime}`,
+    windows: config.windows
+  };
+
+  // Policies are evaluated under the flush lock so they never see a cache another flush is working on.
+  // A due window that loses the race stays unclaimed and runs on the next evaluation.
+  const lock = await acquireFlushLock(`policy-${trigger}`);
+  if (!lock) {
+    return { success: true, fired: 0, locked: true, message: 'Flush already in progress', ...context, runs: [] };
+  }
+
+  try {
+    // Missed business dates go first so their rows aren't swept into today's flush; a scheduled flush
+    // then empties the cache. Expired rows leave it next, so they don't count towards a threshold, and
+    // the cache policies look at whatever is left.
+    const missed = await findMissedDates(config);
+    const runs = [
+      ...await runMissedDates(config, missed, trigger, lock),
+      ...await runDueWindows(config, trigger, lock)
+    ];
+    const expiry = await runCacheExpiry(config, trigger, lock);
+    runs.push(...expiry.runs, ...await runCachePolicies(config, trigger, lock));
+
+    if (lock.lost) {
+      await logConversion({
+        clickid: `flush-${trigger}`,
+        action: 'flush_lock_lost',
+        message: `Flush policy evaluation stopped (trigger: ${trigger}) after ${runs.length} run(s): the flush lock expired and may have been taken over; remaining policies are left for the next evaluation`
+      });
+    }
+
+    return {
+      success: !lock.lost && runs.every(run => run.success),
+      fired: runs.length,
+      lockLost: Boolean(lock.lost),
+      message: [
+        ...runs.map(run => `${run.policy}: ${run.message}`),
+        ...(expiry.expired && expiry.expired.action !== 'flush'
+          ? [`expiry: ${expiry.expired.count} cached conversions ${expiry.expired.action === 'review' ? 'moved to review' : 'written off'}`]
+          : []),
+        ...(lock.lost ? ['stopped: flush lock lost, remaining policies left for the next evaluation'] : [])
+      ].join('; ') || 'No flush policy is due',
+      ...context,
+      missedDates: missed.map(item => item.businessDate),
+      expired: expiry.expired,
+      runs
+    };
+  } finally {
+    await releaseFlushLock(lock);
+  }
+}
@@ -0,0 +1,95 @@
+// File: lib/flushPreview.js
+import { getUnclaimedCachedConversions } from './database.js';
+import { resolveDestinations, renderTemplate } from './destinations.js';
+import { allocateBatch } from './allocation.js';
+import { getCacheConfig, getFlushCacheKeys, describeCacheKey } from './cacheMode.js';
+import { getUpcomingFlushPolicies } from './flushPolicy.js';
+import { getFlushLockHolder } from './flushLock.js';
+
+// Shown in preview URLs where the real postback gets a fresh txid at send time (split chunks show their own)
+const PREVIEW_TXID = 'TXID-ASSIGNED-AT-SEND';
+
+// A destination whose template no longer renders shows the error instead, like the destinations list
+function previewUrl(destination, values) {
+  try {
+    return renderTemplate(destination.url_template, values);
+  } catch (error) {
+    return `Template error: ${error.message}`;
+  }
+}
+
+// What a manual flush would do right now, without claiming, sending or logging anything:
+// {
+//   generatedAt, totalAmount, rowCount, flushInProgress, destinationError,
+//   batches: [{ cacheKey, totalAmount, rows, strategy, breakdown,
+//               allocations: [{ clickid, amount, contributed, conversions, chunk, txid, destinations: [{ id, name, sandbox, url }] }] }],
+//   nextPolicy, upcomingPolicies
+// }
+export async function previewFlush({ trigger = 'manual' } = {}) {
+  const cacheKeys = await getFlushCacheKeys(await getCacheConfig());
+  const batches = [];
+  let destinationError = null;
+
+  for (const cacheKey of cacheKeys) {
+    const rows = await getUnclaimedCachedConversions(cacheKey);
+    if (rows.length === 0) continue;
+
+    const allocation = await allocateBatch(cacheKey, rows, `flush-${trigger}`);
+    const allocations = [];
+
+    for (const item of allocation.allocations) {
+      let destinations = [];
+
+      try {
+        const resolved = await resolveDestinations({ clickid: item.clickid, amount: item.amount, txid: item.txid || PREVIEW_TXID });
+        destinations = resolved.destinations.map(destination => ({
+          id: destination.id,
+          name: destination.name,
+          sandbox: Boolean(destination.sandbox),
+          url: previewUrl(destination, resolved.values)
+        }));
+      } catch (error) {
+        destinationError = error.message;
+      }
+
+      allocations.push({
+        clickid: item.clickid,
+        amount: item.amount,
+        contributed: item.contributed,
+        conversions: item.conversions,
+        chunk: item.chunk,
+        txid: item.txid,
+        destinations
+      });
+    }
+
+    batches.push({
+      cacheKey: describeCacheKey(cacheKey),
+      totalAmount: allocations.reduce((sum, item) => sum + item.amount, 0),
+      rows: rows.map(row => ({
+        id: row.id,
+        clickid: row.clickid,
+        amount: parseFloat(row.amount),
+        cacheKey: row.cache_key,
+        createdAt: row.created_at
+      })),
+      strategy: allocation.strategy,
+      breakdown: allocation.breakdown,
+      allocations
+    });
+  }
+
+  const upcomingPolicies = await getUpcomingFlushPolicies();
+  const lockHolder = await getFlushLockHolder();
+
+  return {
+    generatedAt: new Date().toISOString(),
+    totalAmount: batches.reduce((sum, batch) => sum + batch.totalAmount, 0),
+    rowCount: batches.reduce((sum, batch) => sum + batch.rows.length, 0),
+    flushInProgress: Boolean(lockHolder),
+    destinationError,
+    batches,
+    nextPolicy: upcomingPolicies[0] || null,
+    upcomingPolicies
+  };
+}
@@ -0,0 +1,220 @@
+// File: lib/flushRuns.js
+import { getPool } from './database.js';
+import { getAllSettings } from './settings.js';
+import { getBusinessClock } from './businessDay.js';
+
+// Flush outcomes a later tick of the same business day retries (scheduled windows only)
+export const RETRYABLE_RUN_STATUSES = ['failed', 'error'];
+
+// Flush outcomes after which the cached conversions of the business date are taken care of
+export const COMPLETED_RUN_STATUSES = ['sent', 'queued', 'empty'];
+
+// A run still marked running after this long belongs to a process that died mid-flush
+const STALE_RUN_MINUTES = 15;
+
+// Every flush is one flush_runs row:
+//   trigger_source  - cron, scheduler, conversion, force, manual or api
+//   policy          - schedule, catchup, threshold or max_age for policy flushes, manual for every other flush,
+//                     legacy for daily flushes of releases before flush_runs (see migrations/002_legacy_flush_runs.js)
+//   status          - running, then the flush status (sent, queued, failed, empty) or error
+// flush_run_conversions snapshots the cached rows it claimed (outcome consumed or returned) and
+// postback_history.flush_run_id links every postback attempt it produced, retries included.
+
+export async function getBusinessDate(now = new Date()) {
+  const settings = await getAllSettings();
+  const timeZone = settings.business_timezone.value;
+  return { timeZone, businessDate: getBusinessClock(timeZone, now).businessDate };
+}
+
+export async function startFlushRun({ businessDate, timeZone, trigger, policy, detail = null }) {
+  const pool = getPool();
+  const [result] = await pool.execute(
+    `INSERT INTO flush_runs (business_date, schedule_window, timezone, trigger_source, policy, policy_detail)
+     VALUES (?, NULL, ?, ?, ?, ?)`,
+    [businessDate, timeZone, trigger, policy, detail]
+  );
+  return result.insertId;
+}
+
+// Record that this caller runs the flush of a scheduled window for the business date. Returns the
+// flush_runs id, or null when another tick already ran it (or is running it) and it must not run again.
+// Catch-up flushes claim the window they make up for with policy 'catchup' and a cap on the attempts;
+// attempts restart at 1 when the policy changes (and is assigned before it, MySQL applies SET left to right).
+export async function claimScheduledRun({ businessDate, window, timeZone, trigger, detail, policy = 'schedule', maxAttempts = null }) {
+  const pool = getPool();
+
+  const [inserted] = await pool.execute(
+    `INSERT IGNORE INTO flush_runs (business_date, schedule_window, timezone, trigger_source, policy, policy_detail)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [businessDate, window, timeZone, trigger, policy, detail]
+  );
+
+  if (inserted.affectedRows > 0) {
+    return inserted.insertId;
+  }
+
+  const [retried] = await pool.execute(
+    `UPDATE flush_runs
+     SET status = 'running', trigger_source = ?, attempts = IF(policy = ?, attempts + 1, 1), policy = ?,
+         policy_detail = ?, rows_claimed = NULL, started_at = NOW(), finished_at = NULL, error_message = NULL
+     WHERE business_date = ? AND schedule_window = ?
+       AND (status IN (${RETRYABLE_RUN_STATUSES.map(() => '?').join(', ')})
+            OR (status = 'running' AND started_at < NOW() - INTERVAL ? MINUTE))
+       AND (? IS NULL OR policy <> ? OR attempts < ?)`,
+    [
+      trigger, policy, policy, detail, businessDate, window, ...RETRYABLE_RUN_STATUSES, STALE_RUN_MINUTES,
+      maxAttempts, policy, maxAttempts
+    ]
+  );
+
+  if (retried.affectedRows === 0) {
+    return null;
+  }
+
+  const [rows] = await pool.execute(
+    'SELECT id FROM flush_runs WHERE business_date = ? AND schedule_window = ?',
+    [businessDate, window]
+  );
+  return rows[0].id;
+}
+
+// A scheduled window is still to run for the business date unless a run exists that must not be retried
+export async function isWindowPending(businessDate, window) {
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    'SELECT status FROM flush_runs WHERE business_date = ? AND schedule_window = ?',
+    [businessDate, window]
+  );
+  return rows.length === 0 || RETRYABLE_RUN_STATUSES.includes(rows[0].status);
+}
+
+// Scheduled, catch-up and legacy runs of the business dates from..to (YYYY-MM-DD, inclusive)
+export async function listScheduledRuns(from, to) {
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    `SELECT id, DATE_FORMAT(business_date, '%Y-%m-%d') as business_date, schedule_window, policy, status, attempts
+     FROM flush_runs
+     WHERE (schedule_window IS NOT NULL OR policy = 'legacy') AND business_date BETWEEN ? AND ?`,
+    [from, to]
+  );
+  return rows;
+}
+
+// When this installation first logged anything, or null on an empty database
+export async function getFirstActivityAt() {
+  const pool = getPool();
+  // Epoch seconds: a DATETIME string would be read in Node's timezone rather than the session's
+  const [rows] = await pool.execute('SELECT UNIX_TIMESTAMP(MIN(created_at)) as first_at FROM conversion_logs');
+  return rows[0].first_at ? new Date(Number(rows[0].first_at) * 1000) : null;
+}
+
+export async function finishFlushRun(runId, { status, rowsClaimed = null, totalAmount = null, error = null }) {
+  const pool = getPool();
+  await pool.execute(
+    `UPDATE flush_runs SET status = ?, rows_claimed = ?, total_amount = ?, error_message = ?, finished_at = NOW()
+     WHERE id = ?`,
+    [status, rowsClaimed, totalAmount, error, runId]
+  );
+}
+
+// Snapshot the rows of a claim right after claiming, so the run keeps them even if it dies mid-flush
+export async function recordClaimedConversions(runId, claim) {
+  if (claim.rows.length === 0) return;
+
+  const pool = getPool();
+  const values = [];
+  for (const row of claim.rows) {
+    values.push(runId, claim.batchId, row.id, row.clickid, row.amount, row.txid ?? null, row.cache_key, row.created_at);
+  }
+
+  await pool.execute(
+    `INSERT INTO flush_run_conversions
+     (flush_run_id, batch_id, cached_conversion_id, clickid, amount, txid, cache_key, cached_at)
+     VALUES ${claim.rows.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+    values
+  );
+}
+
+// consumed: the amount was delivered or handed to the outbox; returned: the rows went back to the cache
+export async function settleClaimedConversions(runId, batchId, outcome) {
+  const pool = getPool();
+  await pool.execute(
+    'UPDATE flush_run_conversions SET outcome = ? WHERE flush_run_id = ? AND batch_id = ?',
+    [outcome, runId, batchId]
+  );
+}
+
+export async function listFlushRuns({ trigger, status, from, to, limit = 50, offset = 0 } = {}) {
+  const pool = getPool();
+  const conditions = [];
+  const params = [];
+
+  if (trigger) {
+    conditions.push('r.trigger_source = ?');
+    params.push(trigger);
+  }
+  if (status) {
+    conditions.push('r.status = ?');
+    params.push(status);
+  }
+  if (from) {
+    conditions.push('r.business_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('r.business_date <= ?');
+    params.push(to);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const skip = Math.max(parseInt(offset) || 0, 0);
+
+  const [rows] = await pool.execute(
+    `SELECT r.id, DATE_FORMAT(r.business_date, '%Y-%m-%d') as business_date, r.schedule_window, r.timezone,
+       r.trigger_source, r.policy, r.policy_detail, r.status, r.attempts, r.rows_claimed, r.total_amount,
+       r.error_message, r.started_at, r.finished_at,
+       (SELECT COUNT(*) FROM postback_history ph WHERE ph.flush_run_id = r.id) as postback_count
+     FROM flush_runs r
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY r.started_at DESC, r.id DESC
+     LIMIT ${pageSize} OFFSET ${skip}`,
+    params
+  );
+  return rows;
+}
+
+// One run with the cached rows it claimed and the postback attempts it produced, or null
+export async function getFlushRunDetail(runId) {
+  const pool = getPool();
+
+  const [runs] = await pool.execute(
+    `SELECT id, DATE_FORMAT(business_date, '%Y-%m-%d') as business_date, schedule_window, timezone,
+       trigger_source, policy, policy_detail, status, attempts, rows_claimed, total_amount,
+       error_message, started_at, finished_at
+     FROM flush_runs WHERE id = ?`,
+    [runId]
+  );
+  if (runs.length === 0) return null;
+
+  const [conversions] = await pool.execute(
+    `SELECT cached_conversion_id, batch_id, clickid, amount, txid, cache_key, cached_at, outcome
+     FROM flush_run_conversions
+     WHERE flush_run_id = ?
+     ORDER BY cached_at ASC, cached_conversion_id ASC`,
+    [runId]
+  );
+
+  const [postbacks] = await pool.execute(
+    `SELECT ph.id, ph.clickid, ph.amount, ph.txid, ph.success, ph.status_code, ph.latency_ms, ph.error_message,
+       ph.attempt, ph.outbox_id, ph.original_postback_id, ph.postback_url, ph.created_at,
+       DATE_FORMAT(ph.business_date, '%Y-%m-%d') as business_date,
+       ph.destination_id, d.name as destination_name
+     FROM postback_history ph
+     LEFT JOIN postback_destinations d ON d.id = ph.destination_id
+     WHERE ph.flush_run_id = ?
+     ORDER BY ph.created_at ASC, ph.id ASC`,
+    [runId]
+  );
+
+  return { run: runs[0], conversions, postbacks };
+}
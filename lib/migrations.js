@@ -0,0 +1,127 @@
+// File: lib/migrations.js
+import { getPool } from './database.js';
+import { MIGRATIONS } from '../migrations/index.js';
+
+// Schema version this release needs: the last migration in migrations/index.js
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Named MySQL lock so two migrate runs (e.g. parallel deploys) never apply the same migration twice
+const MIGRATION_LOCK_NAME = 'schema_migrations';
+const MIGRATION_LOCK_TIMEOUT_SECONDS = 30;
+
+// Raised by initializeDatabase() while migrations are pending; ingestion refuses requests until they ran
+export class SchemaOutdatedError extends Error {
+  constructor(status) {
+    super(`Database schema is at version ${status.current}, this release needs ${status.latest}: run "npm run migrate"`);
+    this.name = 'SchemaOutdatedError';
+    this.status = status;
+  }
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions(connection) {
+  try {
+    const [rows] = await connection.execute('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+    return rows;
+  } catch (error) {
+    // Nothing was ever migrated
+    if (error.code === 'ER_NO_SUCH_TABLE') return [];
+    throw error;
+  }
+}
+
+// { current, latest, upToDate, applied: [{ version, name, applied_at }], pending: [{ version, name }] }
+// `current` is the highest applied version; a database ahead of this release (rolled back code) still
+// counts as up to date as long as none of this release's migrations is missing.
+export async function getSchemaStatus() {
+  const applied = await getAppliedVersions(getPool());
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const pending = MIGRATIONS
+    .filter(migration => !appliedVersions.has(migration.version))
+    .map(({ version, name }) => ({ version, name }));
+
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest: LATEST_SCHEMA_VERSION,
+    upToDate: pending.length === 0,
+    applied,
+    pending
+  };
+}
+
+async function withMigrationLock(callback) {
+  const connection = await getPool().getConnection();
+
+  try {
+    const [[lock]] = await connection.execute('SELECT GET_LOCK(?, ?) as acquired', [MIGRATION_LOCK_NAME, MIGRATION_LOCK_TIMEOUT_SECONDS]);
+    if (lock.acquired !== 1) {
+      throw new Error('Another migration run is in progress');
+    }
+
+    try {
+      await ensureMigrationsTable(connection);
+      return await callback(connection);
+    } finally {
+      await connection.execute('SELECT RELEASE_LOCK(?)', [MIGRATION_LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+// Apply every pending migration up to `to` (default: all), oldest first. MySQL commits DDL implicitly,
+// so each migration is recorded right after it succeeded; a failing one stops the run and stays pending.
+// Returns the migrations applied: [{ version, name }]
+export async function migrateUp({ to = LATEST_SCHEMA_VERSION, log = console.log } = {}) {
+  return withMigrationLock(async (connection) => {
+    const appliedVersions = new Set((await getAppliedVersions(connection)).map(row => row.version));
+    const applied = [];
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version > to || appliedVersions.has(migration.version)) continue;
+
+      log(`Applying ${migration.name}...`);
+      await migration.up(connection);
+      await connection.execute(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return applied;
+  });
+}
+
+// Revert applied migrations newest first: the last `steps` of them, or every one above version `to`.
+// Returns the migrations reverted: [{ version, name }]
+export async function migrateDown({ steps = 1, to = null, log = console.log } = {}) {
+  return withMigrationLock(async (connection) => {
+    const applied = (await getAppliedVersions(connection)).reverse();
+    const targets = to === null ? applied.slice(0, steps) : applied.filter(row => row.version > to);
+    const reverted = [];
+
+    for (const row of targets) {
+      const migration = MIGRATIONS.find(item => item.version === row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version} (${row.name}) is not part of this release and cannot be reverted by it`);
+      }
+
+      log(`Reverting ${migration.name}...`);
+      await migration.down(connection);
+      await connection.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      reverted.push({ version: migration.version, name: migration.name });
+    }
+
+    return reverted;
+  });
+}
@@ -0,0 +1,600 @@
+// File: lib/postback.js
+import crypto from 'crypto';
+import { getPool, logPostback, logConversion, withoutRequestConnection } from './database.js';
+import { getAllSettings } from './settings.js';
+import { resolveDestinations, renderTemplate, getDestinations, getDestination } from './destinations.js';
+import { checkCircuit, recordCircuitResult, releaseProbeCandidates, abandonProbe } from './circuitBreaker.js';
+import { acquireRateLimitSlot, pruneRateWindows } from './rateLimit.js';
+import { getSandboxReason, capturePostback } from './sandbox.js';
+
+// Outbox rows stuck in 'sending' longer than this (e.g. the function was killed) are retried by the worker
+const SENDING_LEASE_SECONDS = 120;
+
+// Used when an outbox row's destination no longer exists
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// A failed delivery attempt. `retryable` decides whether the outbox schedules another attempt.
+export class PostbackError extends Error {
+  constructor(message, { retryable = true, statusCode = null, latencyMs = null, responseText = '' } = {}) {
+    super(message);
+    this.name = 'PostbackError';
+    this.retryable = retryable;
+    this.statusCode = statusCode;
+    this.latencyMs = latencyMs;
+    this.responseText = responseText;
+  }
+}
+
+// Timeouts, rate limiting and server errors are worth retrying; any other 4xx won't get better
+function isRetryableStatus(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+async function getRetryPolicy() {
+  const settings = await getAllSettings();
+
+  return {
+    maxAttempts: Math.max(1, Math.floor(settings.outbox_max_attempts.value)),
+    baseSeconds: settings.outbox_retry_base_seconds.value,
+    maxSeconds: settings.outbox_retry_max_seconds.value
+  };
+}
+
+export function getBackoffSeconds(attempt, policy) {
+  return Math.round(Math.min(policy.maxSeconds, policy.baseSeconds * 2 ** Math.max(0, attempt - 1)));
+}
+
+// Request options of a destination (timeout and success criteria); defaults when the destination is gone
+function getRequestOptions(destination) {
+  return {
+    timeoutMs: destination?.timeout_ms || DEFAULT_TIMEOUT_MS,
+    successMatchType: destination?.success_match_type || 'none',
+    successPattern: destination?.success_pattern || ''
+  };
+}
+
+// Perform one GET, aborting it after `timeoutMs`. A 2xx whose body fails the destination's
+// success criteria is treated as a failure: trackers often answer 200 with an error message.
+// Result: { responseText, statusCode, latencyMs }
+async function performRequest(url, { timeoutMs, successMatchType, successPattern }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const startedAt = Date.now();
+
+  let response;
+  let responseText;
+
+  try {
+    response = await fetch(url, { method: 'GET', signal: controller.signal });
+    responseText = await response.text();
+  } catch (error) {
+    const latencyMs = Date.now() - startedAt;
+
+    if (error.name === 'AbortError') {
+      throw new PostbackError(`Request timed out after ${timeoutMs}ms`, {
+        retryable: true,
+        statusCode: response?.status ?? null,
+        latencyMs
+      });
+    }
+
+    // Network-level failure (DNS, connection reset, ...)
+    throw new PostbackError(`Request failed: ${error.message}`, { retryable: true, latencyMs });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const latencyMs = Date.now() - startedAt;
+
+  if (!response.ok) {
+    throw new PostbackError(`HTTP error! status: ${response.status}`, {
+      retryable: isRetryableStatus(response.status),
+      statusCode: response.status,
+      latencyMs,
+      responseText
+    });
+  }
+
+  if (!matchesSuccessCriteria(responseText, successMatchType, successPattern)) {
+    // The endpoint answered and rejected the postback; sending the same URL again won't change that
+    throw new PostbackError(`Response did not match success ${successMatchType} "${successPattern}"`, {
+      retryable: false,
+      statusCode: response.status,
+      latencyMs,
+      responseText
+    });
+  }
+
+  return { responseText, statusCode: response.status, latencyMs };
+}
+
+function matchesSuccessCriteria(responseText, matchType, pattern) {
+  if (matchType === 'substring') return responseText.includes(pattern);
+  if (matchType === 'regex') return new RegExp(pattern).test(responseText);
+  return true;
+}
+
+// Make one delivery attempt for an outbox row the caller has locked, record it and reschedule if needed
+async function attemptOutboxDelivery(row, policy, destination) {
+  const pool = getPool();
+  // Sandboxed postbacks are never sent, so the destination's breaker neither gates nor learns from them
+  const sandboxReason = getSandboxReason(destination);
+  const circuit = sandboxReason ? 'closed' : await checkCircuit(row.destination_id);
+
+  if (circuit === 'open') {
+    // The destination is failing; park the row without using up an attempt until the breaker lets it through
+    await pool.execute(
+      `UPDATE postback_outbox SET status = 'held', locked_until = NULL, worker_id = NULL WHERE id = ?`,
+      [row.id]
+    );
+
+    return {
+      success: false,
+      status: 'held',
+      queued: true,
+      retryable: true,
+      responseText: '',
+      errorMessage: 'Circuit breaker open - held until the destination recovers',
+      statusCode: null,
+      latencyMs: null,
+      outboxId: row.id,
+      postbackId: null,
+      attempt: row.attempts,
+      nextAttemptInSeconds: null
+    };
+  }
+
+  const slot = await acquireRateLimitSlot(destination);
+
+  if (!slot.allowed) {
+    // Over the destination's rate limit: defer to the outbox without using up an attempt
+    if (circuit === 'probe') await abandonProbe(row.destination_id);
+
+    await pool.execute(
+      `UPDATE postback_outbox
+       SET status = 'pending', next_attempt_at = NOW() + INTERVAL ? SECOND, locked_until = NULL, worker_id = NULL
+       WHERE id = ?`,
+      [slot.retryInSeconds, row.id]
+    );
+
+    return {
+      success: false,
+      status: 'pending',
+      queued: true,
+      throttled: true,
+      retryable: true,
+      responseText: '',
+      errorMessage: `Rate limit per ${slot.window} reached - deferred`,
+      statusCode: null,
+      latencyMs: null,
+      outboxId: row.id,
+      postbackId: null,
+      attempt: row.attempts,
+      nextAttemptInSeconds: slot.retryInSeconds
+    };
+  }
+
+  const attempt = row.attempts + 1;
+
+  let success = false;
+  let responseText = '';
+  let errorMessage = null;
+  let retryable = false;
+  let statusCode = null;
+  let latencyMs = null;
+
+  try {
+    ({ responseText, statusCode, latencyMs } = sandboxReason
+      ? await capturePostback(row, sandboxReason)
+      : await withoutRequestConnection(() => performRequest(row.postback_url, getRequestOptions(destination))));
+    success = true;
+  } catch (error) {
+    errorMessage = error.message;
+    retryable = error.retryable ?? true;
+    statusCode = error.statusCode ?? null;
+    latencyMs = error.latencyMs ?? null;
+    responseText = error.responseText || '';
+  }
+
+  // Every attempt gets its own postback_history row, linked to the first one for this outbox entry
+  const postbackId = await logPostback(
+    row.clickid,
+    row.amount,
+    row.postback_url,
+    success,
+    responseText,
+    errorMessage,
+    {
+      statusCode,
+      latencyMs,
+      txid: row.txid,
+      destinationId: row.destination_id,
+      outboxId: row.id,
+      originalPostbackId: row.postback_history_id,
+      attempt,
+      flushRunId: row.flush_run_id ?? null,
+      businessDate: row.business_date ?? null
+    }
+  );
+
+  if (!sandboxReason) {
+    await recordCircuitResult(row.destination_id, { success, retryable, errorMessage, probe: circuit === 'probe' });
+  }
+
+  let status;
+  let nextAttemptInSeconds = null;
+
+  if (success) {
+    status = 'sent';
+    await pool.execute(
+      `UPDATE postback_outbox
+       SET status = 'sent', attempts = ?, delivered_at = NOW(), last_error = NULL,
+           locked_until = NULL, worker_id = NULL, postback_history_id = COALESCE(postback_history_id, ?)
+       WHERE id = ?`,
+      [attempt, postbackId, row.id]
+    );
+  } else if (retryable && attempt < row.max_attempts) {
+    status = 'pending';
+    nextAttemptInSeconds = getBackoffSeconds(attempt, policy);
+    await pool.execute(
+      `UPDATE postback_outbox
+       SET status = 'pending', attempts = ?, next_attempt_at = NOW() + INTERVAL ? SECOND, last_error = ?,
+           locked_until = NULL, worker_id = NULL, postback_history_id = COALESCE(postback_history_id, ?)
+       WHERE id = ?`,
+      [attempt, nextAttemptInSeconds, errorMessage, postbackId, row.id]
+    );
+  } else {
+    status = 'failed';
+    await pool.execute(
+      `UPDATE postback_outbox
+       SET status = 'failed', attempts = ?, last_error = ?,
+           locked_until = NULL, worker_id = NULL, postback_history_id = COALESCE(postback_history_id, ?)
+       WHERE id = ?`,
+      [attempt, retryable ? `${errorMessage} (gave up after ${attempt} attempts)` : errorMessage, postbackId, row.id]
+    );
+  }
+
+  return {
+    success,
+    status,
+    queued: status === 'pending',
+    retryable,
+    responseText,
+    errorMessage,
+    statusCode,
+    latencyMs,
+    outboxId: row.id,
+    postbackId,
+    attempt,
+    nextAttemptInSeconds
+  };
+}
+
+// Write a postback to the outbox and make the first delivery attempt right away.
+// Result: { success, queued, status, responseText, errorMessage, outboxId, postbackId, ... }
+// `queued` means the attempt failed (or was held by an open circuit breaker) but the outbox worker
+// will retry it, so the amount is not lost.
+export async function sendPostback({ clickid, amount, url, txid, destination, source, flushRunId = null, businessDate = null }) {
+  const policy = await getRetryPolicy();
+  const pool = getPool();
+
+  const [result] = await pool.execute(
+    `INSERT INTO postback_outbox
+     (clickid, amount, postback_url, txid, destination_id, source, flush_run_id, business_date, status, max_attempts, next_attempt_at, locked_until)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'sending', ?, NOW(), NOW() + INTERVAL ? SECOND)`,
+    [clickid, amount, url, txid || null, destination?.id ?? null, source || null, flushRunId, businessDate, policy.maxAttempts, SENDING_LEASE_SECONDS]
+  );
+
+  return await attemptOutboxDelivery({
+    id: result.insertId,
+    clickid,
+    amount,
+    postback_url: url,
+    txid: txid || null,
+    destination_id: destination?.id ?? null,
+    source: source || null,
+    attempts: 0,
+    max_attempts: policy.maxAttempts,
+    postback_history_id: null,
+    flush_run_id: flushRunId,
+    business_date: businessDate
+  }, policy, destination);
+}
+
+function describeDeliveryResult(result) {
+  if (result.success) return `${result.destinationName}: delivered`;
+  if (result.status === 'held') return `${result.destinationName}: held (circuit breaker open, outbox #${result.outboxId})`;
+  if (result.throttled) return `${result.destinationName}: deferred by rate limit (outbox #${result.outboxId})`;
+  if (result.queued) return `${result.destinationName}: queued for retry (outbox #${result.outboxId}, ${result.errorMessage})`;
+  return `${result.destinationName}: failed (${result.errorMessage})`;
+}
+
+// Deliver one conversion to every enabled destination. Each destination gets its own outbox entry and
+// postback_history rows, and a failure (even an exception) for one destination never stops the others.
+// Result:
+//   success  - every destination delivered
+//   accepted - at least one destination delivered or queued, so the amount is owned by the outbox
+//   queued   - accepted, but not every destination delivered yet
+// `flushRunId` links the postbacks (and their retries) to the flush run that sent them. Every postback is
+// tagged with the business date it belongs to: `businessDate` for flushes of a past date, today otherwise.
+export async function deliverPostback({ clickid, amount, txid, status, currency, source, flushRunId = null, businessDate = null }) {
+  const { txid: resolvedTxid, businessDate: resolvedDate, values, destinations } = await resolveDestinations({ clickid, amount, txid, status, currency, businessDate });
+
+  const results = await Promise.all(destinations.map(async destination => {
+    let result;
+    let url = null;
+
+    try {
+      url = renderTemplate(destination.url_template, values);
+      result = await sendPostback({ clickid, amount, url, txid: resolvedTxid, destination, source, flushRunId, businessDate: resolvedDate });
+    } catch (error) {
+      result = { success: false, queued: false, status: 'error', errorMessage: error.message, outboxId: null };
+    }
+
+    return { destinationId: destination.id, destinationName: destination.name, url, ...result };
+  }));
+
+  const success = results.every(result => result.success);
+  const accepted = results.some(result => result.success || result.queued);
+  const failures = results.filter(result => !result.success);
+
+  return {
+    success,
+    accepted,
+    queued: accepted && !success,
+    txid: resolvedTxid,
+    responseText: results
+      .filter(result => result.success)
+      .map(result => `${result.destinationName}: ${result.responseText}`)
+      .join('; '),
+    errorMessage: failures.length > 0
+      ? failures.map(result => `${result.destinationName}: ${result.errorMessage}`).join('; ')
+      : null,
+    summary: results.map(describeDeliveryResult).join('; '),
+    results
+  };
+}
+
+// Drain due outbox entries. Safe to run concurrently: each worker locks its own rows first.
+export async function processOutbox({ limit = 25 } = {}) {
+  const policy = await getRetryPolicy();
+  const pool = getPool();
+  const workerId = crypto.randomUUID();
+  const batchSize = Math.max(1, parseInt(limit) || 25);
+
+  // Destinations whose breaker cool-down has ended get their held rows back, so one of them can probe
+  const releasedForProbe = await releaseProbeCandidates();
+  await pruneRateWindows();
+
+  await pool.execute(
+    `UPDATE postback_outbox
+     SET status = 'sending', worker_id = ?, locked_until = NOW() + INTERVAL ? SECOND
+     WHERE (status = 'pending' AND next_attempt_at <= NOW())
+        OR (status = 'sending' AND locked_until < NOW())
+     ORDER BY next_attempt_at ASC
+     LIMIT ${batchSize}`,
+    [workerId, SENDING_LEASE_SECONDS]
+  );
+
+  const [rows] = await pool.execute(
+    `SELECT * FROM postback_outbox WHERE worker_id = ? AND status = 'sending' ORDER BY id ASC`,
+    [workerId]
+  );
+
+  // Retries use the destination's current timeout and success criteria
+  const destinations = new Map((await getDestinations()).map(destination => [destination.id, destination]));
+  const summary = { processed: 0, sent: 0, retrying: 0, failed: 0, held: 0, throttled: 0, releasedForProbe, results: [] };
+
+  for (const row of rows) {
+    const result = await attemptOutboxDelivery(row, policy, destinations.get(row.destination_id));
+
+    summary.processed++;
+    if (result.status === 'sent') summary.sent++;
+    if (result.status === 'pending' && !result.throttled) summary.retrying++;
+    if (result.status === 'failed') summary.failed++;
+    if (result.status === 'held') summary.held++;
+    if (result.throttled) summary.throttled++;
+
+    summary.results.push({
+      outboxId: row.id,
+      clickid: row.clickid,
+      amount: parseFloat(row.amount),
+      status: result.status,
+      attempt: result.attempt,
+      statusCode: result.statusCode,
+      latencyMs: result.latencyMs,
+      error: result.errorMessage
+    });
+  }
+
+  return summary;
+}
+
+// Mark the outbox entries of a delivery nobody accepted as returned: the caller put the claimed amount
+// back into the cache, so it will be sent again by a later postback and must not be replayed.
+export async function markReturnedToCache(delivery) {
+  const outboxIds = delivery.results.map(result => result.outboxId).filter(Boolean);
+  if (outboxIds.length === 0) return 0;
+
+  const pool = getPool();
+  const [result] = await pool.execute(
+    `UPDATE postback_outbox SET status = 'returned'
+     WHERE status = 'failed' AND id IN (${outboxIds.map(() => '?').join(', ')})`,
+    outboxIds
+  );
+  return result.affectedRows;
+}
+
+// Why a failed postback can't be replayed (null when it can)
+function getReplayBlocker(outboxStatus) {
+  if (['pending', 'sending'].includes(outboxStatus)) return 'Still being retried by the outbox';
+  if (outboxStatus === 'held') return 'Held by an open circuit breaker';
+  if (outboxStatus === 'returned') return 'Amount was returned to the cache';
+  return null;
+}
+
+// Failed postbacks whose delivery chain (original attempt, retries and replays) never succeeded.
+// Only the latest attempt of each chain is listed. Filters: from/to (YYYY-MM-DD), clickid, error (substring).
+export async function listFailedPostbacks({ from, to, clickid, error, limit = 100 } = {}) {
+  const conditions = ['ph.success = 0'];
+  const params = [];
+
+  if (from) {
+    conditions.push('ph.created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('ph.created_at < ? + INTERVAL 1 DAY');
+    params.push(to);
+  }
+  if (clickid) {
+    conditions.push('ph.clickid = ?');
+    params.push(clickid);
+  }
+  if (error) {
+    conditions.push('ph.error_message LIKE ?');
+    params.push(`%${error}%`);
+  }
+
+  const rowLimit = Math.min(500, Math.max(1, parseInt(limit) || 100));
+  const pool = getPool();
+  const [rows] = await pool.execute(
+    `SELECT ph.id, ph.clickid, ph.amount, ph.postback_url, ph.error_message, ph.status_code, ph.txid,
+            ph.destination_id, d.name as destination_name, ph.outbox_id, ph.attempt, ph.created_at,
+            COALESCE(ph.original_postback_id, ph.id) as original_postback_id, o.status as outbox_status
+     FROM postback_history ph
+     LEFT JOIN postback_destinations d ON d.id = ph.destination_id
+     LEFT JOIN postback_outbox o ON o.id = ph.outbox_id
+     WHERE ${conditions.join(' AND ')}
+       AND NOT EXISTS (
+         SELECT 1 FROM postback_history later
+         WHERE later.original_postback_id = COALESCE(ph.original_postback_id, ph.id) AND later.id > ph.id
+       )
+     ORDER BY ph.created_at DESC, ph.id DESC
+     LIMIT ${rowLimit}`,
+    params
+  );
+
+  return rows.map(row => {
+    const blocker = getReplayBlocker(row.outbox_status);
+    return { ...row, amount: parseFloat(row.amount), replayable: !blocker, replayBlocker: blocker };
+  });
+}
+
+// Resend a failed postback to the URL (and txid) it was originally sent with. The replay gets its own
+// outbox entry and its history rows point at the original attempt. Nothing is sent when any attempt of
+// the chain succeeded or another delivery of it is still in progress.
+export async function replayPostback(postbackId) {
+  const policy = await getRetryPolicy();
+  const connection = await getPool().getConnection();
+  let row;
+
+  try {
+    await connection.beginTransaction();
+
+    const [found] = await connection.execute('SELECT * FROM postback_history WHERE id = ?', [postbackId]);
+    if (found.length === 0) {
+      await connection.rollback();
+      return { postbackId, replayed: false, reason: 'Postback not found' };
+    }
+
+    const failed = found[0];
+    const originalId = failed.original_postback_id || failed.id;
+
+    // Lock the original attempt so concurrent replays of the same chain run one after another
+    await connection.execute('SELECT id FROM postback_history WHERE id = ? FOR UPDATE', [originalId]);
+
+    const [[confirmed]] = await connection.execute(
+      `SELECT COUNT(*) as count FROM postback_history
+       WHERE (id = ? OR original_postback_id = ?) AND success = 1`,
+      [originalId, originalId]
+    );
+    if (confirmed.count > 0) {
+      await connection.rollback();
+      return { postbackId, replayed: false, reason: 'Already delivered' };
+    }
+
+    const [outboxRows] = await connection.execute(
+      `SELECT status FROM postback_outbox WHERE id = ? OR postback_history_id = ?`,
+      [failed.outbox_id ?? 0, originalId]
+    );
+    const blocker = outboxRows.map(outbox => getReplayBlocker(outbox.status)).find(Boolean);
+    if (blocker) {
+      await connection.rollback();
+      return { postbackId, replayed: false, reason: blocker };
+    }
+
+    const [result] = await connection.execute(
+      `INSERT INTO postback_outbox
+       (clickid, amount, postback_url, txid, destination_id, source, status, max_attempts, next_attempt_at, locked_until,
+        postback_history_id, replay_of_postback_id, flush_run_id, business_date)
+       VALUES (?, ?, ?, ?, ?, 'replay', 'sending', ?, NOW(), NOW() + INTERVAL ? SECOND, ?, ?, ?, ?)`,
+      [
+        failed.clickid,
+        failed.amount,
+        failed.postback_url,
+        failed.txid,
+        failed.destination_id,
+        policy.maxAttempts,
+        SENDING_LEASE_SECONDS,
+        originalId,
+        failed.id,
+        failed.flush_run_id ?? null,
+        failed.business_date ?? null
+      ]
+    );
+
+    await connection.commit();
+
+    row = {
+      id: result.insertId,
+      clickid: failed.clickid,
+      amount: failed.amount,
+      postback_url: failed.postback_url,
+      txid: failed.txid,
+      destination_id: failed.destination_id,
+      source: 'replay',
+      attempts: 0,
+      max_attempts: policy.maxAttempts,
+      postback_history_id: originalId,
+      flush_run_id: failed.flush_run_id ?? null,
+      business_date: failed.business_date ?? null
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  const destination = row.destination_id ? await getDestination(row.destination_id) : null;
+  const delivery = await attemptOutboxDelivery(row, policy, destination);
+
+  return { postbackId, replayed: true, originalPostbackId: row.postback_history_id, ...delivery };
+}
+
+// Record what an outbox worker run did (nothing is logged when there was nothing due)
+export async function logOutboxSummary(summary) {
+  if (summary.processed === 0) return;
+
+  await logConversion({
+    clickid: 'outbox-worker',
+    action: 'outbox_processed',
+    message: `Outbox worker processed ${summary.processed} postbacks: ${summary.sent} sent, ${summary.retrying} rescheduled, ${summary.failed} failed, ${summary.held} held by an open circuit breaker, ${summary.throttled} deferred by rate limits`
+  });
+}
+
+export async function getOutboxStats() {
+  const pool = getPool();
+  const [rows] = await pool.execute(`
+    SELECT status, COUNT(*) as count, COALESCE(SUM(amount), 0) as amount
+    FROM postback_outbox
+    GROUP BY status
+  `);
+
+  const stats = {};
+  for (const row of rows) {
+    stats[row.status] = { count: parseInt(row.count), amount: parseFloat(row.amount) };
+  }
+  return stats;
+}
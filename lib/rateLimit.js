@@ -0,0 +1,110 @@
+// File: lib/rateLimit.js
+import { getPool } from './database.js';
+
+const WINDOWS = [
+  { type: 'second', seconds: 1, limitColumn: 'rate_limit_per_second' },
+  { type: 'minute', seconds: 60, limitColumn: 'rate_limit_per_minute' }
+];
+
+function getWindowStart(window, now = Date.now()) {
+  const epochSeconds = Math.floor(now / 1000);
+  return epochSeconds - (epochSeconds % window.seconds);
+}
+
+// Take one request slot in every limited window of the destination. Counters live in the database so
+// every instance shares them. Returns { allowed: true } or { allowed: false, window, retryInSeconds }.
+export async function acquireRateLimitSlot(destination) {
+  const limitedWindows = WINDOWS.filter(window => destination?.[window.limitColumn] > 0);
+  if (limitedWindows.length === 0) return { allowed: true };
+
+  const pool = getPool();
+  const now = Date.now();
+  const taken = [];
+
+  for (const window of limitedWindows) {
+    const windowStart = getWindowStart(window, now);
+
+    await pool.execute(
+      `INSERT INTO destination_rate_windows (destination_id, window_type, window_start, request_count)
+       VALUES (?, ?, ?, 1)
+       ON DUPLICATE KEY UPDATE request_count = request_count + 1`,
+      [destination.id, window.type, windowStart]
+    );
+
+    const [[counter]] = await pool.execute(
+      `SELECT request_count FROM destination_rate_windows
+       WHERE destination_id = ? AND window_type = ? AND window_start = ?`,
+      [destination.id, window.type, windowStart]
+    );
+
+    taken.push({ window, windowStart });
+
+    if (counter.request_count > destination[window.limitColumn]) {
+      // Over the limit: give back every slot taken so far so the deferred request doesn't count
+      for (const slot of taken) {
+        await pool.execute(
+          `UPDATE destination_rate_windows SET request_count = request_count - 1
+           WHERE destination_id = ? AND window_type = ? AND window_start = ?`,
+          [destination.id, slot.window.type, slot.windowStart]
+        );
+      }
+
+      return {
+        allowed: false,
+        window: window.type,
+        retryInSeconds: Math.max(1, windowStart + window.seconds - Math.floor(now / 1000))
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+// Drop counters of windows that are over
+export async function pruneRateWindows() {
+  const pool = getPool();
+  const [result] = await pool.execute(
+    'DELETE FROM destination_rate_windows WHERE window_start < ?',
+    [Math.floor(Date.now() / 1000) - 120]
+  );
+  return result.affectedRows;
+}
+
+// Current usage of every limited window plus outbox queue depth, per destination id
+export async function getRateLimitStates(destinations) {
+  const pool = getPool();
+  const now = Date.now();
+
+  const [counters] = await pool.execute(
+    `SELECT destination_id, window_type, request_count FROM destination_rate_windows
+     WHERE (window_type = 'second' AND window_start = ?) OR (window_type = 'minute' AND window_start = ?)`,
+    [getWindowStart(WINDOWS[0], now), getWindowStart(WINDOWS[1], now)]
+  );
+
+  const [queues] = await pool.execute(`
+    SELECT destination_id, COUNT(*) as count
+    FROM postback_outbox
+    WHERE status IN ('pending', 'sending', 'held')
+    GROUP BY destination_id
+  `);
+
+  const states = {};
+  for (const destination of destinations) {
+    const windows = {};
+    let throttled = false;
+
+    for (const window of WINDOWS) {
+      const limit = destination[window.limitColumn] > 0 ? destination[window.limitColumn] : null;
+      const used = counters.find(row => row.destination_id === destination.id && row.window_type === window.type)?.request_count || 0;
+      windows[window.type] = { used, limit };
+      if (limit && used >= limit) throttled = true;
+    }
+
+    states[destination.id] = {
+      ...windows,
+      throttled,
+      queueDepth: parseInt(queues.find(row => row.destination_id === destination.id)?.count || 0)
+    };
+  }
+  return states;
+}
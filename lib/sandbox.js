@@ -0,0 +1,60 @@
+// File: lib/sandbox.js
+import { getPool } from './database.js';
+
+// SANDBOX_MODE=true captures every postback of this deployment instead of sending it (staging, local dev)
+export function isSandboxEnvironment() {
+  return ['true', '1', 'yes'].includes(String(process.env.SANDBOX_MODE || '').toLowerCase());
+}
+
+// Why a postback to this destination is captured instead of sent (null when it is sent for real)
+export function getSandboxReason(destination) {
+  if (isSandboxEnvironment()) return 'environment';
+  if (destination?.sandbox) return 'destination';
+  return null;
+}
+
+// Record the fully resolved request in place of sending it. Callers treat it as a delivered postback,
+// so caching, claims and cache clears behave exactly as in production.
+export async function capturePostback(row, reason) {
+  const pool = getPool();
+  const [result] = await pool.execute(
+    `INSERT INTO captured_postbacks
+     (outbox_id, destination_id, clickid, amount, txid, source, method, url, reason)
+     VALUES (?, ?, ?, ?, ?, ?, 'GET', ?, ?)`,
+    [
+      row.id ?? null,
+      row.destination_id ?? null,
+      row.clickid,
+      row.amount,
+      row.txid ?? null,
+      row.source ?? null,
+      row.postback_url,
+      reason
+    ]
+  );
+
+  return {
+    responseText: `Sandbox: captured as #${result.insertId} (${reason} sandbox), not sent`,
+    statusCode: null,
+    latencyMs: 0
+  };
+}
+
+export async function getCapturedPostbacks({ limit = 100 } = {}) {
+  const rowLimit = Math.min(500, Math.max(1, parseInt(limit) || 100));
+  const pool = getPool();
+  const [rows] = await pool.execute(`
+    SELECT c.*, d.name as destination_name
+    FROM captured_postbacks c
+    LEFT JOIN postback_destinations d ON d.id = c.destination_id
+    ORDER BY c.id DESC
+    LIMIT ${rowLimit}
+  `);
+  return rows;
+}
+
+export async function clearCapturedPostbacks() {
+  const pool = getPool();
+  const [result] = await pool.execute('DELETE FROM captured_postbacks');
+  return result.affectedRows;
+}
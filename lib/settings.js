@@ -0,0 +1,271 @@
+// File: lib/settings.js
+import { getPool } from './database.js';
+import { isValidTimeZone, parseTimeList } from './businessDay.js';
+
+// Known settings. Lookup order: settings table -> environment variable -> default
+export const SETTING_DEFINITIONS = {
+  cache_threshold: {
+    env: 'CACHE_THRESHOLD',
+    default: '10',
+    type: 'number',
+    label: 'Caching threshold ($)',
+    description: 'Conversions below this amount are cached; conversions at or above it are sent immediately together with the cache.'
+  },
+  cache_mode: {
+    env: 'CACHE_MODE',
+    default: 'global',
+    type: 'enum',
+    options: ['global', 'clickid', 'key'],
+    label: 'Cache aggregation mode',
+    description: 'global: one shared cache; clickid: each clickid accumulates its own balance; key: balances are grouped by the request parameter named below.'
+  },
+  cache_key_param: {
+    env: 'CACHE_KEY_PARAM',
+    default: 'sub1',
+    type: 'string',
+    label: 'Cache key parameter',
+    description: 'Request parameter used as the aggregation key when the cache mode is "key".'
+  },
+  currency: {
+    env: 'POSTBACK_CURRENCY',
+    default: 'USD',
+    type: 'string',
+    label: 'Default currency',
+    description: 'Value of the {currency} macro in destination URL templates when the conversion does not specify one.'
+  },
+  allocation_strategy: {
+    env: 'ALLOCATION_STRATEGY',
+    default: 'most_recent',
+    type: 'enum',
+    options: ['most_recent', 'largest_contributor', 'per_clickid', 'proportional'],
+    label: 'Flush allocation strategy',
+    description: 'Which clickid a flushed cache batch is credited to: the most recent one, the largest contributor, one postback per contributing clickid, or a proportional split between clickids that contributed at least the minimum below.'
+  },
+  allocation_min_amount: {
+    env: 'ALLOCATION_MIN_AMOUNT',
+    default: '5',
+    type: 'number',
+    label: 'Proportional split minimum postback ($)',
+    description: 'With the proportional strategy, clickids that contributed less than this get no postback of their own; their share is split between the others.'
+  },
+  max_postback_amount: {
+    env: 'MAX_POSTBACK_AMOUNT',
+    default: '0',
+    type: 'number',
+    label: 'Maximum amount per flush postback ($)',
+    description: 'Flush postbacks above this amount are split into several smaller ones, spread over distinct contributing clickids when the batch has them. Each part has a fixed txid so retries are de-duplicated by the tracker. 0 disables splitting.'
+  },
+  business_timezone: {
+    env: 'BUSINESS_TIMEZONE',
+    default: 'America/New_York',
+    type: 'timezone',
+    label: 'Business timezone',
+    description: 'IANA timezone (e.g. America/New_York, Europe/Berlin) that defines the business day and the daily flush time, including DST changes.'
+  },
+  flush_windows: {
+    env: 'FLUSH_WINDOWS',
+    default: '23:59',
+    type: 'times',
+    label: 'Scheduled flush times (HH:MM, comma separated)',
+    description: 'Local times in the business timezone at which the cache is flushed, each at most once per business day. Leave empty to disable scheduled flushes.'
+  },
+  flush_threshold_amount: {
+    env: 'FLUSH_THRESHOLD_AMOUNT',
+    default: '0',
+    type: 'number',
+    label: 'Flush when cache total exceeds ($)',
+    description: 'Flush as soon as the cached total goes above this amount, instead of waiting for the next scheduled flush. 0 disables this policy.'
+  },
+  flush_threshold_scope: {
+    env: 'FLUSH_THRESHOLD_SCOPE',
+    default: 'global',
+    type: 'enum',
+    options: ['global', 'per_key'],
+    label: 'Flush threshold scope',
+    description: 'global: compare the whole cache against the flush threshold and flush everything; per_key: compare each cache key on its own and flush only the keys above it.'
+  },
+  flush_max_age_hours: {
+    env: 'FLUSH_MAX_AGE_HOURS',
+    default: '0',
+    type: 'number',
+    label: 'Flush when oldest cached conversion is older than (hours)',
+    description: 'Flush cache keys whose oldest cached conversion has waited longer than this. 0 disables this policy.'
+  },
+  flush_catchup_days: {
+    env: 'FLUSH_CATCHUP_DAYS',
+    default: '7',
+    type: 'number',
+    step: 1,
+    label: 'Catch up missed scheduled flushes (days)',
+    description: 'How many past business days are checked for a scheduled flush that never completed (cron outage, database down, timeout). Missed days are flushed on the next evaluation, oldest first, with their postbacks tagged with the missed business date. 0 disables catch-up.'
+  },
+  cache_ttl_hours: {
+    env: 'CACHE_TTL_HOURS',
+    default: '0',
+    type: 'number',
+    label: 'Cached conversion TTL (hours)',
+    description: 'Cached conversions older than this expire individually, whatever their cache key, and are handled by the expiry action below. 0 keeps them until a flush.'
+  },
+  cache_expiry_action: {
+    env: 'CACHE_EXPIRY_ACTION',
+    default: 'flush',
+    type: 'enum',
+    options: ['flush', 'write_off', 'review'],
+    label: 'Expiry action',
+    description: 'flush: send each expired conversion to its own clickid; write_off: drop it and record it in the expired conversions ledger; review: move it to the manual review list.'
+  },
+  outbox_max_attempts: {
+    env: 'OUTBOX_MAX_ATTEMPTS',
+    default: '8',
+    type: 'number',
+    step: 1,
+    label: 'Postback max attempts',
+    description: 'Delivery attempts per outbox entry (including the first) before it is marked failed.'
+  },
+  outbox_retry_base_seconds: {
+    env: 'OUTBOX_RETRY_BASE_SECONDS',
+    default: '60',
+    type: 'number',
+    step: 1,
+    label: 'Postback retry base delay (seconds)',
+    description: 'Delay before the first retry; doubles after every further failed attempt.'
+  },
+  outbox_retry_max_seconds: {
+    env: 'OUTBOX_RETRY_MAX_SECONDS',
+    default: '21600',
+    type: 'number',
+    step: 1,
+    label: 'Postback retry max delay (seconds)',
+    description: 'Upper bound for the exponential backoff delay between retries.'
+  },
+  circuit_failure_threshold: {
+    env: 'CIRCUIT_FAILURE_THRESHOLD',
+    default: '5',
+    type: 'number',
+    step: 1,
+    label: 'Circuit breaker failure threshold',
+    description: 'Consecutive failed postbacks (network errors, timeouts, 5xx) after which a destination is paused and new postbacks are held.'
+  },
+  circuit_cooldown_seconds: {
+    env: 'CIRCUIT_COOLDOWN_SECONDS',
+    default: '300',
+    type: 'number',
+    step: 1,
+    label: 'Circuit breaker cool-down (seconds)',
+    description: 'How long a paused destination waits before a single probe postback is sent to check whether it has recovered.'
+  }
+};
+
+function parseSettingValue(key, value) {
+  const definition = SETTING_DEFINITIONS[key];
+
+  if (definition.type === 'number') {
+    const number = parseFloat(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`Invalid value for ${key}: must be a non-negative number`);
+    }
+    return number;
+  }
+
+  if (definition.type === 'enum') {
+    if (!definition.options.includes(String(value))) {
+      throw new Error(`Invalid value for ${key}: must be one of ${definition.options.join(', ')}`);
+    }
+    return String(value);
+  }
+
+  if (definition.type === 'timezone') {
+    if (!isValidTimeZone(String(value))) {
+      throw new Error(`Invalid value for ${key}: must be an IANA timezone such as America/New_York`);
+    }
+    return String(value);
+  }
+
+  if (definition.type === 'times') {
+    const times = parseTimeList(value);
+    if (times === null) {
+      throw new Error(`Invalid value for ${key}: must be a comma separated list of 24-hour times as HH:MM`);
+    }
+    return times.join(', ');
+  }
+
+  return String(value);
+}
+
+// Returns { key: { value, source, ...definition } } for every known setting
+export async function getAllSettings() {
+  const pool = getPool();
+  const [rows] = await pool.execute('SELECT setting_key, setting_value FROM settings');
+
+  const stored = {};
+  for (const row of rows) {
+    stored[row.setting_key] = row.setting_value;
+  }
+
+  const settings = {};
+  for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+    let raw = definition.default;
+    let source = 'default';
+
+    if (stored[key] !== undefined && stored[key] !== null) {
+      raw = stored[key];
+      source = 'database';
+    } else if (definition.env && process.env[definition.env] !== undefined && process.env[definition.env] !== '') {
+      raw = process.env[definition.env];
+      source = 'env';
+    }
+
+    let value;
+    try {
+      value = parseSettingValue(key, raw);
+    } catch (error) {
+      console.error(`Ignoring invalid ${source} value for setting ${key}:`, error.message);
+      value = parseSettingValue(key, definition.default);
+      source = 'default';
+    }
+
+    settings[key] = { ...definition, value, source };
+  }
+
+  return settings;
+}
+
+export async function getSetting(key) {
+  if (!SETTING_DEFINITIONS[key]) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  const settings = await getAllSettings();
+  return settings[key].value;
+}
+
+export async function getCacheThreshold() {
+  return await getSetting('cache_threshold');
+}
+
+export async function updateSetting(key, value) {
+  if (!SETTING_DEFINITIONS[key]) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  // Validate before storing so a bad value never reaches the ingestion path
+  const parsed = parseSettingValue(key, value);
+
+  const pool = getPool();
+  await pool.execute(
+    `INSERT INTO settings (setting_key, setting_value) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)`,
+    [key, String(parsed)]
+  );
+
+  return parsed;
+}
+
+export async function resetSetting(key) {
+  if (!SETTING_DEFINITIONS[key]) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  const pool = getPool();
+  await pool.execute('DELETE FROM settings WHERE setting_key = ?', [key]);
+}
@@ -0,0 +1,311 @@
+// File: migrations/001_baseline_schema.js
+// The schema as it stood when versioned migrations were introduced. Databases created by earlier
+// releases already have some or all of it, so this one migration (unlike later ones) only creates
+// what is missing and adds columns and indexes older releases didn't have.
+import { ensureColumn, ensureIndex } from './helpers.js';
+
+export async function up(connection) {
+  // Create cached_conversions table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS cached_conversions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      clickid VARCHAR(255) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      txid VARCHAR(100) NULL,
+      cache_key VARCHAR(255) NOT NULL DEFAULT 'global',
+      batch_id VARCHAR(64) NULL,
+      claimed_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_clickid (clickid),
+      INDEX idx_cache_key (cache_key),
+      INDEX idx_batch_id (batch_id),
+      INDEX idx_created_at (created_at)
+    )
+  `);
+
+  await ensureColumn(connection, 'cached_conversions', 'txid', 'VARCHAR(100) NULL AFTER amount');
+  await ensureColumn(connection, 'cached_conversions', 'cache_key', "VARCHAR(255) NOT NULL DEFAULT 'global' AFTER txid");
+  await ensureColumn(connection, 'cached_conversions', 'batch_id', 'VARCHAR(64) NULL AFTER cache_key');
+  await ensureColumn(connection, 'cached_conversions', 'claimed_at', 'TIMESTAMP NULL AFTER batch_id');
+  await ensureIndex(connection, 'cached_conversions', 'idx_cache_key', '(cache_key)');
+  await ensureIndex(connection, 'cached_conversions', 'idx_batch_id', '(batch_id)');
+  await ensureIndex(connection, 'cached_conversions', 'idx_txid', '(txid)');
+
+  // Create pending_conversions table (conversions held until the network approves or declines them)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS pending_conversions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      clickid VARCHAR(255) NOT NULL,
+      txid VARCHAR(100) NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMP NULL,
+      INDEX idx_clickid_status (clickid, status),
+      INDEX idx_txid (txid)
+    )
+  `);
+
+  // Create conversion_logs table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS conversion_logs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      clickid VARCHAR(255),
+      original_amount DECIMAL(10,2),
+      cached_amount DECIMAL(10,2),
+      total_sent DECIMAL(10,2),
+      action VARCHAR(50),
+      message TEXT,
+      threshold DECIMAL(10,2),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_clickid (clickid),
+      INDEX idx_created_at (created_at)
+    )
+  `);
+
+  await ensureColumn(connection, 'conversion_logs', 'threshold', 'DECIMAL(10,2) AFTER message');
+
+  // Create postback_history table
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS postback_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      clickid VARCHAR(255) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      postback_url TEXT,
+      success BOOLEAN DEFAULT FALSE,
+      response_text TEXT,
+      error_message TEXT,
+      status_code INT NULL,
+      latency_ms INT NULL,
+      txid VARCHAR(100) NULL,
+      destination_id INT NULL,
+      outbox_id INT NULL,
+      original_postback_id INT NULL,
+      attempt INT DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_clickid (clickid),
+      INDEX idx_success (success),
+      INDEX idx_destination_id (destination_id),
+      INDEX idx_outbox_id (outbox_id),
+      INDEX idx_original_postback_id (original_postback_id),
+      INDEX idx_created_at (created_at)
+    )
+  `);
+
+  await ensureColumn(connection, 'postback_history', 'status_code', 'INT NULL AFTER error_message');
+  await ensureColumn(connection, 'postback_history', 'latency_ms', 'INT NULL AFTER status_code');
+  await ensureColumn(connection, 'postback_history', 'txid', 'VARCHAR(100) NULL AFTER latency_ms');
+  await ensureColumn(connection, 'postback_history', 'destination_id', 'INT NULL AFTER txid');
+  await ensureColumn(connection, 'postback_history', 'outbox_id', 'INT NULL AFTER destination_id');
+  await ensureColumn(connection, 'postback_history', 'original_postback_id', 'INT NULL AFTER outbox_id');
+  await ensureColumn(connection, 'postback_history', 'attempt', 'INT DEFAULT 1 AFTER original_postback_id');
+  await ensureIndex(connection, 'postback_history', 'idx_destination_id', '(destination_id)');
+  await ensureIndex(connection, 'postback_history', 'idx_outbox_id', '(outbox_id)');
+  await ensureIndex(connection, 'postback_history', 'idx_original_postback_id', '(original_postback_id)');
+  await ensureColumn(connection, 'postback_history', 'flush_run_id', 'INT NULL AFTER attempt');
+  await ensureIndex(connection, 'postback_history', 'idx_flush_run_id', '(flush_run_id)');
+  await ensureColumn(connection, 'postback_history', 'business_date', 'DATE NULL AFTER flush_run_id');
+  await ensureIndex(connection, 'postback_history', 'idx_business_date', '(business_date)');
+
+  // Create postback_outbox table (every postback is written here first and retried until delivered)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS postback_outbox (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      clickid VARCHAR(255) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      postback_url TEXT NOT NULL,
+      txid VARCHAR(100) NULL,
+      destination_id INT NULL,
+      source VARCHAR(50),
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INT NOT NULL DEFAULT 0,
+      max_attempts INT NOT NULL DEFAULT 8,
+      next_attempt_at TIMESTAMP NULL,
+      locked_until TIMESTAMP NULL,
+      worker_id VARCHAR(64) NULL,
+      last_error TEXT,
+      postback_history_id INT NULL,
+      replay_of_postback_id INT NULL,
+      delivered_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_status_next_attempt (status, next_attempt_at),
+      INDEX idx_worker_id (worker_id),
+      INDEX idx_created_at (created_at)
+    )
+  `);
+
+  await ensureColumn(connection, 'postback_outbox', 'txid', 'VARCHAR(100) NULL AFTER postback_url');
+  await ensureColumn(connection, 'postback_outbox', 'destination_id', 'INT NULL AFTER txid');
+  await ensureColumn(connection, 'postback_outbox', 'replay_of_postback_id', 'INT NULL AFTER postback_history_id');
+  await ensureColumn(connection, 'postback_outbox', 'flush_run_id', 'INT NULL AFTER replay_of_postback_id');
+  await ensureColumn(connection, 'postback_outbox', 'business_date', 'DATE NULL AFTER flush_run_id');
+
+  // Create postback_destinations table (where postbacks are sent, as URL templates with macros)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS postback_destinations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      url_template TEXT NOT NULL,
+      enabled BOOLEAN DEFAULT TRUE,
+      sandbox BOOLEAN NOT NULL DEFAULT FALSE,
+      timeout_ms INT NOT NULL DEFAULT 10000,
+      rate_limit_per_second INT NULL,
+      rate_limit_per_minute INT NULL,
+      success_match_type VARCHAR(20) NOT NULL DEFAULT 'none',
+      success_pattern TEXT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  await ensureColumn(connection, 'postback_destinations', 'sandbox', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER enabled');
+  await ensureColumn(connection, 'postback_destinations', 'timeout_ms', 'INT NOT NULL DEFAULT 10000 AFTER sandbox');
+  await ensureColumn(connection, 'postback_destinations', 'success_match_type', "VARCHAR(20) NOT NULL DEFAULT 'none' AFTER timeout_ms");
+  await ensureColumn(connection, 'postback_destinations', 'success_pattern', 'TEXT NULL AFTER success_match_type');
+  await ensureColumn(connection, 'postback_destinations', 'rate_limit_per_second', 'INT NULL AFTER timeout_ms');
+  await ensureColumn(connection, 'postback_destinations', 'rate_limit_per_minute', 'INT NULL AFTER rate_limit_per_second');
+
+  // Seed the RedTrack destination the first time so existing deployments keep sending to it
+  await connection.execute(
+    `INSERT INTO postback_destinations (name, url_template) 
+     SELECT ?, ? FROM DUAL 
+     WHERE NOT EXISTS (SELECT 1 FROM postback_destinations)`,
+    ['RedTrack', 'https://clks.trackthisclicks.com/postback?clickid={clickid}&sum={sum}']
+  );
+
+  // Create destination_circuit_breakers table (per-destination breaker state shared by every instance)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS destination_circuit_breakers (
+      destination_id INT PRIMARY KEY,
+      state VARCHAR(20) NOT NULL DEFAULT 'closed',
+      consecutive_failures INT NOT NULL DEFAULT 0,
+      last_error TEXT,
+      opened_at TIMESTAMP NULL,
+      retry_at TIMESTAMP NULL,
+      probe_locked_until TIMESTAMP NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create destination_rate_windows table (per-destination request counters shared by every instance)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS destination_rate_windows (
+      destination_id INT NOT NULL,
+      window_type VARCHAR(10) NOT NULL,
+      window_start BIGINT NOT NULL,
+      request_count INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (destination_id, window_type, window_start)
+    )
+  `);
+
+  // Create captured_postbacks table (requests recorded instead of sent in sandbox mode)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS captured_postbacks (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      outbox_id INT NULL,
+      destination_id INT NULL,
+      clickid VARCHAR(255) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      txid VARCHAR(100) NULL,
+      source VARCHAR(50),
+      method VARCHAR(10) NOT NULL DEFAULT 'GET',
+      url TEXT NOT NULL,
+      reason VARCHAR(20) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_created_at (created_at)
+    )
+  `);
+
+  // Create flush_runs table (one row per business date and schedule window; the unique key makes
+  // sure a scheduled flush runs at most once however often the cron fires)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS flush_runs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      business_date DATE NOT NULL,
+      schedule_window VARCHAR(50) NULL,
+      timezone VARCHAR(64) NOT NULL,
+      trigger_source VARCHAR(20) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      attempts INT NOT NULL DEFAULT 1,
+      total_amount DECIMAL(10,2) NULL,
+      error_message TEXT NULL,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP NULL,
+      UNIQUE KEY uniq_business_window (business_date, schedule_window)
+    )
+  `);
+
+  await ensureColumn(connection, 'flush_runs', 'policy', "VARCHAR(20) NOT NULL DEFAULT 'schedule' AFTER trigger_source");
+  await ensureColumn(connection, 'flush_runs', 'policy_detail', 'VARCHAR(255) NULL AFTER policy');
+  await ensureIndex(connection, 'flush_runs', 'idx_started_at', '(started_at)');
+  await ensureColumn(connection, 'flush_runs', 'rows_claimed', 'INT NULL AFTER attempts');
+
+  // Create flush_run_conversions table (snapshot of the cached rows each flush run claimed; the rows
+  // themselves are deleted once the flush delivered them)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS flush_run_conversions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      flush_run_id INT NOT NULL,
+      batch_id VARCHAR(64) NOT NULL,
+      cached_conversion_id INT NOT NULL,
+      clickid VARCHAR(255) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      txid VARCHAR(100) NULL,
+      cache_key VARCHAR(255) NOT NULL,
+      cached_at TIMESTAMP NULL,
+      outcome VARCHAR(20) NOT NULL DEFAULT 'claimed',
+      INDEX idx_flush_run_id (flush_run_id),
+      INDEX idx_batch_id (batch_id)
+    )
+  `);
+
+  // Create expired_conversions table (ledger of cached rows that outlived the cache TTL and what
+  // happened to them: flushed to their own clickid, written off, or held for manual review)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS expired_conversions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cached_conversion_id INT NOT NULL,
+      clickid VARCHAR(255) NOT NULL,
+      amount DECIMAL(10,2) NOT NULL,
+      txid VARCHAR(100) NULL,
+      cache_key VARCHAR(255) NOT NULL,
+      cached_at TIMESTAMP NULL,
+      business_date DATE NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      reason TEXT NULL,
+      flush_run_id INT NULL,
+      expired_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMP NULL,
+      INDEX idx_status (status),
+      INDEX idx_business_date (business_date),
+      INDEX idx_flush_run_id (flush_run_id)
+    )
+  `);
+
+  // Create flush_locks table (lease-based lock so only one flush claims and sends the cache at a time)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS flush_locks (
+      lock_name VARCHAR(50) PRIMARY KEY,
+      owner VARCHAR(150) NOT NULL,
+      acquired_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Create settings table (runtime configuration editable from the admin dashboard)
+  await connection.execute(`
+    CREATE TABLE IF NOT EXISTS settings (
+      setting_key VARCHAR(100) PRIMARY KEY,
+      setting_value TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// The baseline covers tables that predate migrations and hold unsent cached money and the whole
+// postback and conversion history, so it is never reverted
+export async function down() {
+  throw new Error('The baseline schema cannot be reverted: its tables predate migrations and hold cached conversions and history');
+}
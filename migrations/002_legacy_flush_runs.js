@@ -0,0 +1,63 @@
+// File: migrations/002_legacy_flush_runs.js
+// Record the daily flushes of releases before flush_runs existed as completed runs (policy 'legacy'),
+// so missed-date detection never has to scan conversion_logs for them. Self-contained on purpose: a
+// shipped migration must not change with the app code.
+
+// Actions the legacy daily flush logged when it completed
+const LEGACY_COMPLETED_ACTIONS = [
+  'cron_postback_success', 'cron_cache_cleared', 'cron_no_cache',
+  'daily_postback_success', 'daily_cache_cleared', 'no_cache_to_process'
+];
+
+// The business timezone as configured when the migration runs (settings table, then env, then the default)
+async function getBusinessTimeZone(connection) {
+  const [rows] = await connection.execute("SELECT setting_value FROM settings WHERE setting_key = 'business_timezone'");
+  return rows[0]?.setting_value || process.env.BUSINESS_TIMEZONE || 'America/New_York';
+}
+
+// YYYY-MM-DD of the instant in the timezone
+function toBusinessDate(epochSeconds, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(epochSeconds * 1000));
+}
+
+export async function up(connection) {
+  const timeZone = await getBusinessTimeZone(connection);
+
+  // Epoch seconds, so the dates don't depend on the Node or MySQL session timezone
+  const [logs] = await connection.execute(
+    `SELECT UNIX_TIMESTAMP(created_at) as created_unix FROM conversion_logs
+     WHERE action IN (${LEGACY_COMPLETED_ACTIONS.map(() => '?').join(', ')})`,
+    LEGACY_COMPLETED_ACTIONS
+  );
+
+  // First completed flush of each business date
+  const flushedAt = new Map();
+  for (const row of logs) {
+    const seconds = Number(row.created_unix);
+    const date = toBusinessDate(seconds, timeZone);
+    if (!flushedAt.has(date) || seconds < flushedAt.get(date)) {
+      flushedAt.set(date, seconds);
+    }
+  }
+
+  const [existing] = await connection.execute(
+    "SELECT DATE_FORMAT(business_date, '%Y-%m-%d') as business_date FROM flush_runs WHERE policy = 'legacy'"
+  );
+  const seeded = new Set(existing.map(row => row.business_date));
+
+  for (const [date, seconds] of flushedAt) {
+    if (seeded.has(date)) continue;
+
+    await connection.execute(
+      `INSERT INTO flush_runs
+       (business_date, schedule_window, timezone, trigger_source, policy, policy_detail, status, started_at, finished_at)
+       VALUES (?, NULL, ?, 'cron', 'legacy', 'daily flush logged before flush runs existed', 'sent', FROM_UNIXTIME(?), FROM_UNIXTIME(?))`,
+      [date, timeZone, seconds, seconds]
+    );
+  }
+}
+
+export async function down(connection) {
+  await connection.execute("DELETE FROM flush_runs WHERE policy = 'legacy'");
+}
@@ -0,0 +1,27 @@
+// File: migrations/helpers.js
+// Idempotent schema changes for migrations that must also work on databases that may already have them
+
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't touch tables that already exist)
+export async function ensureColumn(connection, table, column, definition) {
+  const [rows] = await connection.execute(
+    `SELECT COUNT(*) as count FROM information_schema.COLUMNS 
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+
+  if (rows[0].count === 0) {
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+export async function ensureIndex(connection, table, indexName, columns) {
+  const [rows] = await connection.execute(
+    `SELECT COUNT(*) as count FROM information_schema.STATISTICS 
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, indexName]
+  );
+
+  if (rows[0].count === 0) {
+    await connection.execute(`ALTER TABLE ${table} ADD INDEX ${indexName} ${columns}`);
+  }
+}
@@ -0,0 +1,10 @@
+// File: migrations/index.js
+// Every schema migration, oldest first. A migration is a numbered file exporting up(connection) and
+// down(connection); add new ones at the end with the next number and never edit one that has shipped.
+import * as baselineSchema from './001_baseline_schema.js';
+import * as legacyFlushRuns from './002_legacy_flush_runs.js';
+
+export const MIGRATIONS = [
+  { version: 1, name: '001_baseline_schema', ...baselineSchema },
+  { version: 2, name: '002_legacy_flush_runs', ...legacyFlushRuns }
+];
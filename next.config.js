@@ -3,4 +3,4 @@ const nextConfig = {
   reactStrictMode: true,
 }
 
-module.exports = nextConfig
\ No newline at end of file
+export default nextConfig
\ No newline at end of file
@@ -2,10 +2,64 @@
 import { useState, useEffect } from 'react';
 import Head from 'next/head';
 
+const EMPTY_DESTINATION = {
+    name: '',
+    url_template: '',
+    timeout_ms: 10000,
+    rate_limit_per_second: '',
+    rate_limit_per_minute: '',
+    success_match_type: 'none',
+    success_pattern: ''
+};
+
+const CIRCUIT_COLORS = { closed: '#28a745', open: '#dc3545', half_open: '#fd7e14' };
+
+const SUCCESS_MATCH_OPTIONS = [
+    { value: 'none', label: 'any 2xx' },
+    { value: 'substring', label: 'contains' },
+    { value: 'regex', label: 'matches regex' }
+];
+
+const describeNextPolicy = policy => {
+    if (!policy) return 'No automatic flush policy is enabled';
+    if (policy.dueNow) return `${policy.policy} is due now (${policy.detail})`;
+    return policy.at
+        ? `${policy.policy} at ${new Date(policy.at).toLocaleString()} (${policy.detail})`
+        : `${policy.policy} ${policy.detail}`;
+};
+
+// Plain-text summary of a flush preview for confirmation dialogs
+const describeFlushPreview = preview => {
+    if (!preview) return 'Preview unavailable.';
+    if (preview.rowCount === 0) return 'Nothing is cached: no postback would be sent.';
+
+    const lines = [`Would send $${preview.totalAmount.toFixed(2)} from ${preview.rowCount} cached conversions:`];
+    for (const batch of preview.batches) {
+        for (const allocation of batch.allocations) {
+            const destinations = allocation.destinations.map(destination => destination.name).join(', ') || 'no destination';
+            const chunk = allocation.chunk ? `, part ${allocation.chunk.index}/${allocation.chunk.count}` : '';
+            lines.push(`- ${allocation.clickid}: $${allocation.amount.toFixed(2)} to ${destinations} (${batch.cacheKey}, ${batch.strategy}${chunk})`);
+        }
+    }
+    if (preview.destinationError) lines.push(`Warning: ${preview.destinationError}`);
+    if (preview.flushInProgress) lines.push('Warning: a flush is in progress right now; this one will be skipped.');
+    return lines.join('\n');
+};
+
 export default function AdminDashboard() {
     const [stats, setStats] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    const [settings, setSettings] = useState(null);
+    const [settingDrafts, setSettingDrafts] = useState({});
+    const [destinations, setDestinations] = useState([]);
+    const [destinationMacros, setDestinationMacros] = useState([]);
+    const [destinationDrafts, setDestinationDrafts] = useState({});
+    const [newDestination, setNewDestination] = useState(EMPTY_DESTINATION);
+    const [failedPostbacks, setFailedPostbacks] = useState([]);
+    const [replayFilters, setReplayFilters] = useState({ from: '', to: '', clickid: '', error: '' });
+    const [selectedReplays, setSelectedReplays] = useState([]);
+    const [flushPreview, setFlushPreview] = useState(null);
 
     const fetchStats = async () => {
         try {
@@ -27,6 +81,187 @@ export default function AdminDashboard() {
         }
     };
 
+    // Returns the preview as well, so confirmation dialogs can show what is about to be sent
+    const fetchFlushPreview = async () => {
+        try {
+            const response = await fetch('/api/admin/flush-preview');
+            const data = await response.json();
+
+            if (response.ok) {
+                setFlushPreview(data);
+                return data;
+            }
+            setError(data.message || 'Failed to load flush preview');
+        } catch (err) {
+            setError('Error loading flush preview: ' + (err.message || 'Unknown error'));
+        }
+        return null;
+    };
+
+    const fetchSettings = async () => {
+        try {
+            const response = await fetch('/api/admin/settings');
+            const data = await response.json();
+
+            if (response.ok) {
+                setSettings(data.settings);
+            } else {
+                setError(data.message || 'Failed to load settings');
+            }
+        } catch (err) {
+            setError('Error loading settings: ' + (err.message || 'Unknown error'));
+        }
+    };
+
+    const saveSetting = async (key, reset = false) => {
+        try {
+            const response = await fetch('/api/admin/settings', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(reset ? { key, reset: true } : { key, value: settingDrafts[key] })
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                setSettings(data.settings);
+                setSettingDrafts(drafts => {
+                    const next = { ...drafts };
+                    delete next[key];
+                    return next;
+                });
+            } else {
+                alert('Error: ' + (data.message || 'Failed to save setting'));
+            }
+        } catch (err) {
+            alert('Error saving setting: ' + err.message);
+        }
+    };
+
+    const fetchDestinations = async () => {
+        try {
+            const response = await fetch('/api/admin/destinations');
+            const data = await response.json();
+
+            if (response.ok) {
+                setDestinations(data.destinations);
+                setDestinationMacros(data.macros);
+            } else {
+                setError(data.message || 'Failed to load destinations');
+            }
+        } catch (err) {
+            setError('Error loading destinations: ' + (err.message || 'Unknown error'));
+        }
+    };
+
+    const submitDestination = async (method, body) => {
+        try {
+            const url = method === 'DELETE' ? `/api/admin/destinations?id=${body.id}` : '/api/admin/destinations';
+            const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: method === 'DELETE' ? undefined : JSON.stringify(body)
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                setDestinations(data.destinations);
+                return true;
+            }
+            alert('Error: ' + (data.message || 'Failed to save destination'));
+        } catch (err) {
+            alert('Error saving destination: ' + err.message);
+        }
+        return false;
+    };
+
+    const saveDestination = async (id) => {
+        if (await submitDestination('PUT', { id, ...destinationDrafts[id] })) {
+            setDestinationDrafts(drafts => {
+                const next = { ...drafts };
+                delete next[id];
+                return next;
+            });
+        }
+    };
+
+    const addDestination = async () => {
+        if (await submitDestination('POST', newDestination)) {
+            setNewDestination(EMPTY_DESTINATION);
+        }
+    };
+
+    const removeDestination = async (destination) => {
+        if (!confirm(`Delete postback destination "${destination.name}"?`)) {
+            return;
+        }
+        await submitDestination('DELETE', { id: destination.id });
+    };
+
+    const editDestination = (destination, field, value) => {
+        setDestinationDrafts({
+            ...destinationDrafts,
+            [destination.id]: {
+                name: destination.name,
+                url_template: destination.url_template,
+                timeout_ms: destination.timeout_ms,
+                rate_limit_per_second: destination.rate_limit_per_second ?? '',
+                rate_limit_per_minute: destination.rate_limit_per_minute ?? '',
+                success_match_type: destination.success_match_type,
+                success_pattern: destination.success_pattern || '',
+                ...destinationDrafts[destination.id],
+                [field]: value
+            }
+        });
+    };
+
+    const fetchFailedPostbacks = async (filters = replayFilters) => {
+        try {
+            const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+            const response = await fetch(`/api/admin/replay-postbacks?${query}`);
+            const data = await response.json();
+
+            if (response.ok) {
+                setFailedPostbacks(data.postbacks);
+                setSelectedReplays([]);
+            } else {
+                alert('Error: ' + (data.message || 'Failed to load failed postbacks'));
+            }
+        } catch (err) {
+            alert('Error loading failed postbacks: ' + err.message);
+        }
+    };
+
+    const replayPostbacks = async (body, description) => {
+        if (!confirm(`Resend ${description}? Postbacks that were delivered in the meantime are skipped.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/admin/replay-postbacks', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...body, filters: replayFilters })
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                alert(`Replayed ${data.replayed} of ${data.requested} postbacks.\n\nDelivered: ${data.delivered}\nFailed or queued: ${data.replayed - data.delivered}\nSkipped: ${data.skipped}`);
+                fetchFailedPostbacks();
+                fetchStats();
+            } else {
+                alert('Error: ' + (data.message || 'Failed to replay postbacks'));
+            }
+        } catch (err) {
+            alert('Error replaying postbacks: ' + err.message);
+        }
+    };
+
+    const toggleReplaySelection = (id) => {
+        setSelectedReplays(selected => (
+            selected.includes(id) ? selected.filter(item => item !== id) : [...selected, id]
+        ));
+    };
+
     const clearCache = async () => {
         try {
             const response = await fetch(`/api/admin/clear-cache`, {
@@ -37,6 +272,7 @@ export default function AdminDashboard() {
             if (response.ok) {
                 alert(`Cleared ${data.clearedRows} total cached entries from global cache`);
                 fetchStats(); // Refresh stats
+                fetchFlushPreview();
             } else {
                 alert('Error: ' + (data.message || 'Failed to clear global cache'));
             }
@@ -46,54 +282,77 @@ export default function AdminDashboard() {
     };
 
     const triggerManualDaily = async () => {
-        if (!confirm('Are you sure you want to manually trigger the daily postback? This will send all cached conversions to RedTrack and clear the cache if successful.')) {
+        const preview = await fetchFlushPreview();
+        if (!confirm(`Are you sure you want to manually trigger the daily postback? This will send all cached conversions to the configured postback destinations and clear the cache if successful.\n\n${describeFlushPreview(preview)}`)) {
             return;
         }
 
         try {
-            const response = await fetch('/api/admin/manual-daily-postback', {
-                method: 'POST'
+            const response = await fetch('/api/admin/flush', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ trigger: 'manual' })
             });
             const data = await response.json();
             
-            if (data.success) {
-                alert(`Manual daily postback successful!\n\nTotal Amount: $${data.totalAmount.toFixed(2)}\nClickid Used: ${data.clickidUsed}\nCache Entries Cleared: ${data.clearedEntries || 0}`);
+            if (data.status === 'locked') {
+                alert('A cache flush is already in progress. Nothing was sent; try again once it has finished.');
+            } else if (data.success) {
+                alert(`Manual daily postback successful!\n\nTotal Amount: $${data.totalAmount.toFixed(2)}\nClickid Used: ${data.clickidUsed || 'N/A'}\nCache Entries Cleared: ${data.clearedEntries || 0}`);
             } else {
                 alert(`Manual daily postback failed!\n\nError: ${data.error || data.message}\nTotal Amount: $${data.totalAmount?.toFixed(2) || '0.00'}`);
             }
             
             fetchStats(); // Refresh stats
+            fetchFlushPreview();
         } catch (err) {
             alert('Error triggering manual daily postback: ' + err.message);
         }
     };
 
     const forceDailyCheck = async () => {
-        if (!confirm('Force the daily postback check right now (bypasses time window)? This will execute if there are cached conversions.')) {
+        const preview = await fetchFlushPreview();
+        if (!confirm(`Force the daily postback check right now (bypasses time window)? This will execute if there are cached conversions.\n\n${describeFlushPreview(preview)}`)) {
             return;
         }
 
         try {
-            const response = await fetch('/api/admin/force-daily-check', {
-                method: 'POST'
+            const response = await fetch('/api/admin/flush', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ trigger: 'force' })
             });
             const data = await response.json();
             
-            if (data.success) {
+            if (data.status === 'locked') {
+                alert('A cache flush is already in progress. Nothing was sent; try again once it has finished.');
+            } else if (data.success) {
                 alert(`Force daily check successful!\n\nTotal Amount: $${data.totalAmount.toFixed(2)}\nClickid Used: ${data.clickidUsed || 'N/A'}\nCache Entries Cleared: ${data.clearedEntries || 0}`);
             } else {
                 alert(`Force daily check completed.\n\nMessage: ${data.message}\nTotal Amount: $${data.totalAmount?.toFixed(2) || '0.00'}\nError: ${data.error || 'None'}`);
             }
             
             fetchStats(); // Refresh stats
+            fetchFlushPreview();
         } catch (err) {
             alert('Error forcing daily check: ' + err.message);
         }
     };
 
+    const cachedBalances = (stats?.cacheMode === 'key' ? stats.cachedByKey : stats?.cachedByClickid) || [];
+
     useEffect(() => {
         fetchStats();
-        const interval = setInterval(fetchStats, 30000); // Refresh every 30 seconds
+        fetchSettings();
+        fetchDestinations();
+        fetchFailedPostbacks();
+        fetchFlushPreview();
+        // Refresh every 30 seconds
+        const interval = setInterval(() => {
+            fetchStats();
+            fetchDestinations();
+            fetchFlushPreview();
+        }, 30000);
         return () => clearInterval(interval);
     }, []);
 
@@ -106,6 +365,35 @@ export default function AdminDashboard() {
 
             <header style={{ marginBottom: '30px' }}>
                 <h1>Conversion Tracking Admin Dashboard</h1>
+                {stats?.sandboxMode && (
+                    <div style={{ 
+                        padding: '12px', 
+                        background: '#fff3cd', 
+                        color: '#856404',
+                        borderRadius: '4px',
+                        marginBottom: '15px'
+                    }}>
+                        Sandbox mode is ON (SANDBOX_MODE): postbacks are captured, not sent. <a href="/captured" style={{ color: '#856404' }}>View captured postbacks</a>
+                    </div>
+                )}
+                {stats?.missedFlushes?.dates.length > 0 && (
+                    <div style={{ 
+                        padding: '12px', 
+                        background: '#f8d7da', 
+                        color: '#721c24',
+                        borderRadius: '4px',
+                        marginBottom: '15px'
+                    }}>
+                        <strong>Missed scheduled flushes:</strong> no completed {stats.missedFlushes.dates[0].window} ({stats.missedFlushes.timeZone}) flush for {stats.missedFlushes.dates.map(item => item.businessDate).join(', ')}.
+                        {stats.missedFlushes.dates.some(item => !item.exhausted) && ' They are caught up on the next policy evaluation, oldest first, and their postbacks are tagged with the missed business date.'}
+                        {stats.missedFlushes.dates.filter(item => item.exhausted).map(item => (
+                            <div key={item.businessDate} style={{ marginTop: '5px' }}>
+                                Catch-up for {item.businessDate} gave up after {item.attempts} attempts (last status: {item.status}); its cached conversions go out with the next regular flush.
+                            </div>
+                        ))}
+                        {' '}<a href="/flush-runs" style={{ color: '#721c24' }}>View flush history</a>
+                    </div>
+                )}
                 <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
                     <button 
                         onClick={fetchStats}
@@ -179,7 +467,7 @@ export default function AdminDashboard() {
                             borderRadius: '8px',
                             border: '1px solid #e9ecef'
                         }}>
-                            <h3 style={{ margin: '0 0 10px 0' }}>Global Cached Amount</h3>
+                            <h3 style={{ margin: '0 0 10px 0' }}>{stats.cacheMode === 'global' ? 'Global Cached Amount' : 'Total Cached Amount'}</h3>
                             <p style={{ margin: 0, fontSize: '24px', fontWeight: 'bold', color: '#0070f3' }}>
                                 ${stats.totalCachedAmount.toFixed(2)}
                             </p>
@@ -220,6 +508,36 @@ export default function AdminDashboard() {
                                 {stats.successRate.toFixed(1)}%
                             </p>
                         </div>
+
+                        <div style={{ 
+                            padding: '20px', 
+                            background: '#f8f9fa', 
+                            borderRadius: '8px',
+                            border: '1px solid #e9ecef'
+                        }}>
+                            <h3 style={{ margin: '0 0 10px 0' }}>Awaiting Retry</h3>
+                            <p style={{ margin: 0, fontSize: '24px', fontWeight: 'bold', color: '#dc3545' }}>
+                                {stats.outbox?.pending?.count || 0}
+                            </p>
+                            <p style={{ margin: '5px 0 0 0', fontSize: '14px', color: '#666' }}>
+                                ${(stats.outbox?.pending?.amount || 0).toFixed(2)} pending, {stats.outbox?.held?.count || 0} held by circuit breaker, {stats.outbox?.failed?.count || 0} failed permanently
+                            </p>
+                        </div>
+
+                        <div style={{ 
+                            padding: '20px', 
+                            background: '#f8f9fa', 
+                            borderRadius: '8px',
+                            border: '1px solid #e9ecef'
+                        }}>
+                            <h3 style={{ margin: '0 0 10px 0' }}>Pending Approval</h3>
+                            <p style={{ margin: 0, fontSize: '24px', fontWeight: 'bold', color: '#6c757d' }}>
+                                {stats.pendingConversions?.count || 0}
+                            </p>
+                            <p style={{ margin: '5px 0 0 0', fontSize: '14px', color: '#666' }}>
+                                ${(stats.pendingConversions?.amount || 0).toFixed(2)} held until approved
+                            </p>
+                        </div>
                     </div>
 
                     {/* Global Cache Management */}
@@ -231,7 +549,7 @@ export default function AdminDashboard() {
                     }}>
                         <h3>Global Cache Management & Daily Postback</h3>
                         <p style={{ marginBottom: '15px', color: '#666' }}>
-                            Manage the global cache or trigger postbacks manually. The automated daily postback runs at 11:45-11:59 PM New York time when conversion requests are received.
+                            Manage the global cache or trigger postbacks manually. Automatic flushes follow the flush policies in Settings{settings && settings.flush_windows.value ? ` (scheduled at ${settings.flush_windows.value} ${settings.business_timezone.value})` : ''}.
                         </p>
                         <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
                             <button 
@@ -276,19 +594,428 @@ export default function AdminDashboard() {
                                 Force Daily Check (Bypass Time Window)
                             </button>
                         </div>
+                        {flushPreview && (
+                            <div style={{ 
+                                marginTop: '15px', 
+                                padding: '15px', 
+                                background: 'white', 
+                                border: '1px solid #dee2e6', 
+                                borderRadius: '4px' 
+                            }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px' }}>
+                                    <strong>Flush Preview</strong>
+                                    <button 
+                                        onClick={fetchFlushPreview}
+                                        style={{
+                                            padding: '4px 10px',
+                                            background: '#6c757d',
+                                            color: 'white',
+                                            border: 'none',
+                                            borderRadius: '4px',
+                                            cursor: 'pointer',
+                                            fontSize: '12px'
+                                        }}
+                                    >
+                                        Refresh Preview
+                                    </button>
+                                </div>
+                                <div style={{ fontSize: '14px', marginTop: '8px' }}>
+                                    {flushPreview.rowCount === 0
+                                        ? 'Nothing is cached: a flush now would not send any postback.'
+                                        : `A flush now would send $${flushPreview.totalAmount.toFixed(2)} from ${flushPreview.rowCount} cached conversions.`}
+                                </div>
+                                {flushPreview.destinationError && (
+                                    <div style={{ fontSize: '14px', marginTop: '5px', color: '#dc3545' }}>{flushPreview.destinationError}</div>
+                                )}
+                                {flushPreview.batches.map(batch => (
+                                    <div key={batch.cacheKey} style={{ marginTop: '10px', fontSize: '13px' }}>
+                                        <div style={{ color: '#666' }}>
+                                            {batch.cacheKey} · {batch.strategy} · ${batch.totalAmount.toFixed(2)}
+                                        </div>
+                                        {batch.allocations.map((allocation, index) => (
+                                            <div key={`${allocation.clickid}-${index}`} style={{ marginTop: '5px', paddingLeft: '10px' }}>
+                                                <strong>{allocation.clickid}</strong>: ${allocation.amount.toFixed(2)} (contributed ${allocation.contributed.toFixed(2)} from {allocation.conversions} conversions)
+                                                {allocation.chunk && ` · part ${allocation.chunk.index}/${allocation.chunk.count} of the ${allocation.chunk.of} allocation, txid ${allocation.txid}`}
+                                                {allocation.destinations.map(destination => (
+                                                    <div key={destination.id} style={{ fontFamily: 'monospace', fontSize: '12px', color: '#495057', wordBreak: 'break-all' }}>
+                                                        {destination.name}{destination.sandbox ? ' (sandbox)' : ''}: {destination.url}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        ))}
+                                        <details style={{ marginTop: '5px', paddingLeft: '10px' }}>
+                                            <summary style={{ cursor: 'pointer', color: '#666' }}>{batch.rows.length} cached rows</summary>
+                                            {batch.rows.map(row => (
+                                                <div key={row.id} style={{ fontSize: '12px' }}>
+                                                    #{row.id} {row.clickid} ${row.amount.toFixed(2)} · {new Date(row.createdAt).toLocaleString()}
+                                                </div>
+                                            ))}
+                                        </details>
+                                    </div>
+                                ))}
+                                <div style={{ fontSize: '13px', marginTop: '10px', color: '#666' }}>
+                                    <strong>Next automatic flush:</strong> {describeNextPolicy(flushPreview.nextPolicy)}
+                                </div>
+                            </div>
+                        )}
+                        {stats.flushInProgress && (
+                            <div style={{ marginTop: '10px', fontSize: '14px', color: '#856404' }}>
+                                Flush in progress ({stats.flushInProgress.holder}) since {new Date(stats.flushInProgress.since).toLocaleString()}. Other flushes are skipped until it finishes.
+                            </div>
+                        )}
                         <div style={{ marginTop: '10px', fontSize: '14px', color: '#666' }}>
-                            <strong>Note:</strong> The automated daily postback now runs via Vercel Cron at 11:59 PM Eastern Time every day. 
+                            <strong>Note:</strong> Vercel Cron evaluates the flush policies every 5 minutes (the standalone scheduler on every tick); conversions never flush themselves, so a threshold or max-age flush waits for the next evaluation. Each scheduled time runs once per business day, following DST changes in the business timezone.
                             Use "Force Daily Check" to test the automation logic immediately, or "Send Daily Postback Now" for manual execution.
                         </div>
                     </div>
 
-                    {/* Cached Conversions by Clickid (Reference Only) */}
-                    {stats.cachedByClickid && stats.cachedByClickid.length > 0 && (
+                    {/* Settings */}
+                    {settings && (
+                        <div style={{ 
+                            background: '#f8f9fa', 
+                            padding: '20px', 
+                            borderRadius: '8px',
+                            marginBottom: '30px'
+                        }}>
+                            <h3>Settings</h3>
+                            <p style={{ marginBottom: '15px', color: '#666' }}>
+                                Changes take effect on the next conversion request. Reset falls back to the environment variable, then the built-in default.
+                            </p>
+                            {Object.entries(settings).map(([key, setting]) => (
+                                <div key={key} style={{ marginBottom: '15px' }}>
+                                    <label style={{ display: 'block', fontWeight: 'bold', marginBottom: '5px' }}>
+                                        {setting.label}
+                                    </label>
+                                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+                                        {setting.type === 'enum' ? (
+                                            <select
+                                                value={settingDrafts[key] ?? setting.value}
+                                                onChange={e => setSettingDrafts({ ...settingDrafts, [key]: e.target.value })}
+                                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                                            >
+                                                {setting.options.map(option => (
+                                                    <option key={option} value={option}>{option}</option>
+                                                ))}
+                                            </select>
+                                        ) : (
+                                            <input
+                                                type={setting.type === 'number' ? 'number' : 'text'}
+                                                step={setting.type === 'number' ? (setting.step || '0.01') : undefined}
+                                                value={settingDrafts[key] ?? setting.value}
+                                                onChange={e => setSettingDrafts({ ...settingDrafts, [key]: e.target.value })}
+                                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                                            />
+                                        )}
+                                        <button 
+                                            onClick={() => saveSetting(key)}
+                                            disabled={settingDrafts[key] === undefined}
+                                            style={{
+                                                padding: '6px 12px',
+                                                background: '#0070f3',
+                                                color: 'white',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: settingDrafts[key] === undefined ? 'default' : 'pointer'
+                                            }}
+                                        >
+                                            Save
+                                        </button>
+                                        <button 
+                                            onClick={() => saveSetting(key, true)}
+                                            disabled={setting.source !== 'database'}
+                                            style={{
+                                                padding: '6px 12px',
+                                                background: '#6c757d',
+                                                color: 'white',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: setting.source !== 'database' ? 'default' : 'pointer'
+                                            }}
+                                        >
+                                            Reset
+                                        </button>
+                                        <span style={{ fontSize: '14px', color: '#666' }}>
+                                            Source: {setting.source}
+                                        </span>
+                                    </div>
+                                    <div style={{ fontSize: '14px', color: '#666', marginTop: '5px' }}>
+                                        {setting.description}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Postback Destinations */}
+                    <div style={{ 
+                        background: '#f8f9fa', 
+                        padding: '20px', 
+                        borderRadius: '8px',
+                        marginBottom: '30px'
+                    }}>
+                        <h3>Postback Destinations</h3>
+                        <p style={{ marginBottom: '15px', color: '#666' }}>
+                            Every conversion is delivered to all enabled destinations; each destination succeeds or fails on its own. Available macros: {destinationMacros.map(macro => `{${macro}}`).join(', ')}. 
+                            Helpers can be chained, e.g. {'{sum|fixed:2}'} or {'{sum|multiply:100|fixed:0}'}.
+                        </p>
+                        {destinations.map(destination => {
+                            const draft = destinationDrafts[destination.id];
+                            return (
+                                <div key={destination.id} style={{ 
+                                    marginBottom: '15px', 
+                                    padding: '10px', 
+                                    background: 'white', 
+                                    border: '1px solid #dee2e6', 
+                                    borderRadius: '4px' 
+                                }}>
+                                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+                                        <input
+                                            type="text"
+                                            value={draft?.name ?? destination.name}
+                                            onChange={e => editDestination(destination, 'name', e.target.value)}
+                                            style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '150px' }}
+                                        />
+                                        <input
+                                            type="text"
+                                            value={draft?.url_template ?? destination.url_template}
+                                            onChange={e => editDestination(destination, 'url_template', e.target.value)}
+                                            style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', flex: 1, minWidth: '300px' }}
+                                        />
+                                        <button 
+                                            onClick={() => saveDestination(destination.id)}
+                                            disabled={!draft}
+                                            style={{
+                                                padding: '6px 12px',
+                                                background: '#0070f3',
+                                                color: 'white',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: draft ? 'pointer' : 'default'
+                                            }}
+                                        >
+                                            Save
+                                        </button>
+                                        <button 
+                                            onClick={() => submitDestination('PUT', { id: destination.id, enabled: !destination.enabled })}
+                                            style={{
+                                                padding: '6px 12px',
+                                                background: destination.enabled ? '#28a745' : '#6c757d',
+                                                color: 'white',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: 'pointer'
+                                            }}
+                                        >
+                                            {destination.enabled ? 'Enabled' : 'Disabled'}
+                                        </button>
+                                        <button 
+                                            onClick={() => submitDestination('PUT', { id: destination.id, sandbox: !destination.sandbox })}
+                                            title="Sandboxed destinations capture postbacks instead of sending them"
+                                            style={{
+                                                padding: '6px 12px',
+                                                background: destination.sandbox ? '#ffc107' : '#e9ecef',
+                                                color: destination.sandbox ? '#212529' : '#495057',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: 'pointer'
+                                            }}
+                                        >
+                                            {destination.sandbox ? 'Sandbox' : 'Live'}
+                                        </button>
+                                        <button 
+                                            onClick={() => removeDestination(destination)}
+                                            style={{
+                                                padding: '6px 12px',
+                                                background: '#dc3545',
+                                                color: 'white',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: 'pointer'
+                                            }}
+                                        >
+                                            Delete
+                                        </button>
+                                    </div>
+                                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginTop: '8px', fontSize: '14px' }}>
+                                        <label>
+                                            Timeout (ms):{' '}
+                                            <input
+                                                type="number"
+                                                step="100"
+                                                value={draft?.timeout_ms ?? destination.timeout_ms}
+                                                onChange={e => editDestination(destination, 'timeout_ms', e.target.value)}
+                                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '90px' }}
+                                            />
+                                        </label>
+                                        <label>
+                                            Max/sec:{' '}
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                step="1"
+                                                placeholder="∞"
+                                                value={draft?.rate_limit_per_second ?? (destination.rate_limit_per_second ?? '')}
+                                                onChange={e => editDestination(destination, 'rate_limit_per_second', e.target.value)}
+                                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '60px' }}
+                                            />
+                                        </label>
+                                        <label>
+                                            Max/min:{' '}
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                step="1"
+                                                placeholder="∞"
+                                                value={draft?.rate_limit_per_minute ?? (destination.rate_limit_per_minute ?? '')}
+                                                onChange={e => editDestination(destination, 'rate_limit_per_minute', e.target.value)}
+                                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '70px' }}
+                                            />
+                                        </label>
+                                        <label>
+                                            Success when body:{' '}
+                                            <select
+                                                value={draft?.success_match_type ?? destination.success_match_type}
+                                                onChange={e => editDestination(destination, 'success_match_type', e.target.value)}
+                                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                                            >
+                                                {SUCCESS_MATCH_OPTIONS.map(option => (
+                                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                                ))}
+                                            </select>
+                                        </label>
+                                        <input
+                                            type="text"
+                                            placeholder="e.g. OK or ^success"
+                                            value={draft?.success_pattern ?? (destination.success_pattern || '')}
+                                            onChange={e => editDestination(destination, 'success_pattern', e.target.value)}
+                                            disabled={(draft?.success_match_type ?? destination.success_match_type) === 'none'}
+                                            style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '200px' }}
+                                        />
+                                    </div>
+                                    <div style={{ fontSize: '13px', color: '#666', marginTop: '5px', wordBreak: 'break-all' }}>
+                                        Sample: {destination.sampleUrl}
+                                    </div>
+                                    <div style={{ fontSize: '13px', marginTop: '5px' }}>
+                                        Circuit breaker:{' '}
+                                        <strong style={{ color: CIRCUIT_COLORS[destination.circuit.state] }}>
+                                            {destination.circuit.state.replace('_', '-')}
+                                        </strong>
+                                        {destination.circuit.consecutiveFailures > 0 && ` · ${destination.circuit.consecutiveFailures} consecutive failures`}
+                                        {destination.circuit.state !== 'closed' && destination.circuit.retryAt && ` · next probe ${new Date(destination.circuit.retryAt).toLocaleString()}`}
+                                        {destination.circuit.heldCount > 0 && ` · ${destination.circuit.heldCount} postbacks held`}
+                                        {destination.circuit.state !== 'closed' && destination.circuit.lastError && (
+                                            <span style={{ color: '#666' }}> · last error: {destination.circuit.lastError}</span>
+                                        )}
+                                    </div>
+                                    {destination.rateLimit && (
+                                        <div style={{ fontSize: '13px', marginTop: '5px' }}>
+                                            Rate limit:{' '}
+                                            <strong style={{ color: destination.rateLimit.throttled ? '#fd7e14' : '#28a745' }}>
+                                                {destination.rateLimit.throttled ? 'throttled' : 'ok'}
+                                            </strong>
+                                            {` · ${destination.rateLimit.second.used}/${destination.rateLimit.second.limit ?? '∞'} this second`}
+                                            {` · ${destination.rateLimit.minute.used}/${destination.rateLimit.minute.limit ?? '∞'} this minute`}
+                                            {` · queue depth ${destination.rateLimit.queueDepth}`}
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })}
+                        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+                            <input
+                                type="text"
+                                placeholder="Name"
+                                value={newDestination.name}
+                                onChange={e => setNewDestination({ ...newDestination, name: e.target.value })}
+                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '150px' }}
+                            />
+                            <input
+                                type="text"
+                                placeholder="https://tracker.example.com/postback?clickid={clickid}&sum={sum}"
+                                value={newDestination.url_template}
+                                onChange={e => setNewDestination({ ...newDestination, url_template: e.target.value })}
+                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', flex: 1, minWidth: '300px' }}
+                            />
+                            <input
+                                type="number"
+                                step="100"
+                                title="Timeout (ms)"
+                                value={newDestination.timeout_ms}
+                                onChange={e => setNewDestination({ ...newDestination, timeout_ms: e.target.value })}
+                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '90px' }}
+                            />
+                            <input
+                                type="number"
+                                min="1"
+                                step="1"
+                                placeholder="Max/sec"
+                                value={newDestination.rate_limit_per_second}
+                                onChange={e => setNewDestination({ ...newDestination, rate_limit_per_second: e.target.value })}
+                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '80px' }}
+                            />
+                            <input
+                                type="number"
+                                min="1"
+                                step="1"
+                                placeholder="Max/min"
+                                value={newDestination.rate_limit_per_minute}
+                                onChange={e => setNewDestination({ ...newDestination, rate_limit_per_minute: e.target.value })}
+                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '80px' }}
+                            />
+                            <select
+                                value={newDestination.success_match_type}
+                                onChange={e => setNewDestination({ ...newDestination, success_match_type: e.target.value })}
+                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                            >
+                                {SUCCESS_MATCH_OPTIONS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                            {newDestination.success_match_type !== 'none' && (
+                                <input
+                                    type="text"
+                                    placeholder="Success pattern"
+                                    value={newDestination.success_pattern}
+                                    onChange={e => setNewDestination({ ...newDestination, success_pattern: e.target.value })}
+                                    style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '150px' }}
+                                />
+                            )}
+                            <button 
+                                onClick={addDestination}
+                                style={{
+                                    padding: '6px 12px',
+                                    background: '#28a745',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                Add Destination
+                            </button>
+                        </div>
+                    </div>
+
+                    {/* Cached Balances (by clickid, or by aggregation key in key mode) */}
+                    {cachedBalances.length > 0 && (
                         <div style={{ marginBottom: '30px' }}>
-                            <h3>Cached Conversions by Clickid (Reference)</h3>
+                            <h3>
+                                {stats.cacheMode === 'key' ? 'Cached Balances by Key' : 'Cached Conversions by Clickid'}
+                                {stats.cacheMode === 'global' ? ' (Reference)' : ''}
+                            </h3>
                             <p style={{ color: '#666', marginBottom: '15px' }}>
-                                Note: These are shown for reference only. The system now uses global caching, 
-                                so any $10+ conversion will trigger ALL cached amounts regardless of clickid.
+                                {stats.cacheMode === 'global' && (
+                                    <>Note: These are shown for reference only. The system uses global caching, 
+                                    so any conversion at or above the caching threshold will trigger ALL cached amounts regardless of clickid.</>
+                                )}
+                                {stats.cacheMode === 'clickid' && (
+                                    <>Per-clickid caching: each balance is sent with its own clickid's next conversion at or above the caching threshold, 
+                                    or by the daily postback (one postback per clickid).</>
+                                )}
+                                {stats.cacheMode === 'key' && (
+                                    <>Per-key caching on the "{stats.cacheKeyParam}" parameter: each balance is sent with the next conversion at or above 
+                                    the caching threshold for the same key, or by the daily postback (one postback per key).</>
+                                )}
                             </p>
                             <div style={{ overflowX: 'auto' }}>
                                 <table style={{ 
@@ -298,17 +1025,17 @@ export default function AdminDashboard() {
                                 }}>
                                     <thead>
                                         <tr style={{ background: '#f8f9fa' }}>
-                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Clickid</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>{stats.cacheMode === 'key' ? 'Cache Key' : 'Clickid'}</th>
                                             <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Total Amount</th>
                                             <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Count</th>
                                             <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Last Updated</th>
                                         </tr>
                                     </thead>
                                     <tbody>
-                                        {stats.cachedByClickid.map((item, index) => (
+                                        {cachedBalances.map((item, index) => (
                                             <tr key={index}>
                                                 <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
-                                                    {item.clickid}
+                                                    {item.cache_key ?? item.clickid}
                                                 </td>
                                                 <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>
                                                     ${parseFloat(item.total_amount).toFixed(2)}
@@ -340,8 +1067,11 @@ export default function AdminDashboard() {
                                     <thead>
                                         <tr style={{ background: '#f8f9fa' }}>
                                             <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Clickid</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Destination</th>
                                             <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Amount</th>
                                             <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'center' }}>Success</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'center' }}>HTTP</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Latency</th>
                                             <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Timestamp</th>
                                         </tr>
                                     </thead>
@@ -351,6 +1081,9 @@ export default function AdminDashboard() {
                                                 <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
                                                     {postback.clickid}
                                                 </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                                    {postback.destination_name || (postback.destination_id ? `#${postback.destination_id}` : '-')}
+                                                </td>
                                                 <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>
                                                     ${parseFloat(postback.amount).toFixed(2)}
                                                 </td>
@@ -361,7 +1094,13 @@ export default function AdminDashboard() {
                                                     color: postback.success ? '#28a745' : '#dc3545',
                                                     fontWeight: 'bold'
                                                 }}>
-                                                    {postback.success ? '✓' : '✗'}
+                                                    <span title={postback.error_message || ''}>{postback.success ? '✓' : '✗'}</span>
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'center' }}>
+                                                    {postback.status_code ?? '-'}
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>
+                                                    {postback.latency_ms !== null && postback.latency_ms !== undefined ? `${postback.latency_ms} ms` : '-'}
                                                 </td>
                                                 <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
                                                     {new Date(postback.created_at).toLocaleString()}
@@ -373,6 +1112,277 @@ export default function AdminDashboard() {
                             </div>
                         </div>
                     )}
+
+                    {/* Recent Flushes */}
+                    {stats.recentFlushRuns && stats.recentFlushRuns.length > 0 && (
+                        <div style={{ marginBottom: '30px' }}>
+                            <h3>
+                                Recent Flushes{' '}
+                                <a href="/flush-runs" style={{ fontSize: '14px', fontWeight: 'normal', color: '#0070f3' }}>full history</a>
+                            </h3>
+                            <div style={{ overflowX: 'auto' }}>
+                                <table style={{ 
+                                    width: '100%', 
+                                    borderCollapse: 'collapse',
+                                    background: 'white'
+                                }}>
+                                    <thead>
+                                        <tr style={{ background: '#f8f9fa' }}>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Started</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Business Date</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Policy</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Trigger</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'center' }}>Status</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Amount</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {stats.recentFlushRuns.map(run => (
+                                            <tr key={run.id}>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                                    <a href={`/flush-runs?id=${run.id}`} style={{ color: '#0070f3' }}>
+                                                        {new Date(run.started_at).toLocaleString()}
+                                                    </a>
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                                    {run.business_date}
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                                    <strong>{run.policy}</strong>
+                                                    {run.policy_detail && (
+                                                        <div style={{ fontSize: '12px', color: '#666' }}>{run.policy_detail}</div>
+                                                    )}
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                                    {run.trigger_source}{run.attempts > 1 ? ` (attempt ${run.attempts})` : ''}
+                                                </td>
+                                                <td style={{ 
+                                                    padding: '12px', 
+                                                    border: '1px solid #dee2e6', 
+                                                    textAlign: 'center',
+                                                    color: ['failed', 'error'].includes(run.status) ? '#dc3545' : run.status === 'sent' ? '#28a745' : '#666',
+                                                    fontWeight: 'bold'
+                                                }}>
+                                                    <span title={run.error_message || ''}>{run.status}</span>
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>
+                                                    {run.total_amount !== null ? `$${parseFloat(run.total_amount).toFixed(2)}` : '-'}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Expired Conversions */}
+                    {stats.expiredByDay && stats.expiredByDay.length > 0 && (
+                        <div style={{ marginBottom: '30px' }}>
+                            <h3>
+                                Expired Conversions{' '}
+                                <a href="/expired" style={{ fontSize: '14px', fontWeight: 'normal', color: '#0070f3' }}>ledger and review list</a>
+                            </h3>
+                            <p style={{ fontSize: '14px', color: '#666' }}>
+                                Cached conversions that outlived the cache TTL, per business date (last 14 days).
+                            </p>
+                            <div style={{ overflowX: 'auto' }}>
+                                <table style={{ 
+                                    width: '100%', 
+                                    borderCollapse: 'collapse',
+                                    background: 'white'
+                                }}>
+                                    <thead>
+                                        <tr style={{ background: '#f8f9fa' }}>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Business Date</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Conversions</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Expired</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Flushed</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Written Off</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>In Review</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Sent After Review</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {stats.expiredByDay.map(day => (
+                                            <tr key={day.businessDate}>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>{day.businessDate}</td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>{day.count}</td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right', fontWeight: 'bold' }}>${day.amount.toFixed(2)}</td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>${day.flushed.toFixed(2)}</td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right', color: day.writtenOff > 0 ? '#dc3545' : 'inherit' }}>${day.writtenOff.toFixed(2)}</td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right', color: day.review > 0 ? '#856404' : 'inherit' }}>${day.review.toFixed(2)}</td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>${day.sent.toFixed(2)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Failed Postbacks (replay) */}
+                    <div style={{ 
+                        background: '#f8f9fa', 
+                        padding: '20px', 
+                        borderRadius: '8px',
+                        marginBottom: '30px'
+                    }}>
+                        <h3>Failed Postbacks</h3>
+                        <p style={{ marginBottom: '15px', color: '#666' }}>
+                            The latest failed attempt of every postback that was never delivered. Resending uses the original URL and txid, 
+                            and is linked to the original attempt. Postbacks still retrying, held by a circuit breaker or returned to the cache can't be resent.
+                        </p>
+                        <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '15px' }}>
+                            <label>
+                                From:{' '}
+                                <input
+                                    type="date"
+                                    value={replayFilters.from}
+                                    onChange={e => setReplayFilters({ ...replayFilters, from: e.target.value })}
+                                    style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                                />
+                            </label>
+                            <label>
+                                To:{' '}
+                                <input
+                                    type="date"
+                                    value={replayFilters.to}
+                                    onChange={e => setReplayFilters({ ...replayFilters, to: e.target.value })}
+                                    style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                                />
+                            </label>
+                            <input
+                                type="text"
+                                placeholder="Clickid"
+                                value={replayFilters.clickid}
+                                onChange={e => setReplayFilters({ ...replayFilters, clickid: e.target.value })}
+                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '150px' }}
+                            />
+                            <input
+                                type="text"
+                                placeholder="Error contains"
+                                value={replayFilters.error}
+                                onChange={e => setReplayFilters({ ...replayFilters, error: e.target.value })}
+                                style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px', width: '150px' }}
+                            />
+                            <button 
+                                onClick={() => fetchFailedPostbacks()}
+                                style={{
+                                    padding: '6px 12px',
+                                    background: '#0070f3',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                Search
+                            </button>
+                            <button 
+                                onClick={() => replayPostbacks({ ids: selectedReplays }, `${selectedReplays.length} selected postbacks`)}
+                                disabled={selectedReplays.length === 0}
+                                style={{
+                                    padding: '6px 12px',
+                                    background: '#fd7e14',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: selectedReplays.length > 0 ? 'pointer' : 'default'
+                                }}
+                            >
+                                Resend Selected ({selectedReplays.length})
+                            </button>
+                            <button 
+                                onClick={() => replayPostbacks({ all: true }, 'all replayable postbacks matching the filters')}
+                                disabled={!failedPostbacks.some(postback => postback.replayable)}
+                                style={{
+                                    padding: '6px 12px',
+                                    background: '#dc3545',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                Resend All Matching
+                            </button>
+                        </div>
+                        {failedPostbacks.length === 0 ? (
+                            <p style={{ margin: 0, color: '#666' }}>No failed postbacks match these filters.</p>
+                        ) : (
+                            <div style={{ overflowX: 'auto' }}>
+                                <table style={{ 
+                                    width: '100%', 
+                                    borderCollapse: 'collapse',
+                                    background: 'white'
+                                }}>
+                                    <thead>
+                                        <tr style={{ background: '#f8f9fa' }}>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6' }}></th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Clickid</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Destination</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Amount</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Error</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Last Attempt</th>
+                                            <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'center' }}>Action</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {failedPostbacks.map(postback => (
+                                            <tr key={postback.id}>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'center' }}>
+                                                    <input
+                                                        type="checkbox"
+                                                        disabled={!postback.replayable}
+                                                        checked={selectedReplays.includes(postback.id)}
+                                                        onChange={() => toggleReplaySelection(postback.id)}
+                                                    />
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                                    {postback.clickid}
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                                    {postback.destination_name || (postback.destination_id ? `#${postback.destination_id}` : '-')}
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>
+                                                    ${postback.amount.toFixed(2)}
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', fontSize: '13px' }}>
+                                                    {postback.error_message}
+                                                    {postback.original_postback_id !== postback.id && (
+                                                        <div style={{ color: '#666' }}>Attempt of postback #{postback.original_postback_id}</div>
+                                                    )}
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                                    {new Date(postback.created_at).toLocaleString()}
+                                                </td>
+                                                <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'center' }}>
+                                                    {postback.replayable ? (
+                                                        <button 
+                                                            onClick={() => replayPostbacks({ ids: [postback.id] }, `the postback for ${postback.clickid}`)}
+                                                            style={{
+                                                                padding: '4px 10px',
+                                                                background: '#fd7e14',
+                                                                color: 'white',
+                                                                border: 'none',
+                                                                borderRadius: '4px',
+                                                                cursor: 'pointer'
+                                                            }}
+                                                        >
+                                                            Resend
+                                                        </button>
+                                                    ) : (
+                                                        <span style={{ fontSize: '13px', color: '#666' }}>{postback.replayBlocker}</span>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </div>
                 </div>
             )}
 
@@ -387,6 +1397,26 @@ export default function AdminDashboard() {
                 }}>
                     View Detailed Logs
                 </a>
+                <a href="/captured" style={{ 
+                    padding: '10px 20px',
+                    background: '#6c757d',
+                    color: 'white',
+                    textDecoration: 'none',
+                    borderRadius: '4px',
+                    marginRight: '10px'
+                }}>
+                    View Captured Postbacks
+                </a>
+                <a href="/flush-runs" style={{ 
+                    padding: '10px 20px',
+                    background: '#6c757d',
+                    color: 'white',
+                    textDecoration: 'none',
+                    borderRadius: '4px',
+                    marginRight: '10px'
+                }}>
+                    View Flush History
+                </a>
             </div>
         </div>
     );
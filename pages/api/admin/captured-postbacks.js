@@ -0,0 +1,37 @@
+// File: pages/api/admin/captured-postbacks.js
+import { initializeDatabase, logConversion } from '../../../lib/database.js';
+import { getCapturedPostbacks, clearCapturedPostbacks, isSandboxEnvironment } from '../../../lib/sandbox.js';
+
+export default async function handler(req, res) {
+  if (!['GET', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    await initializeDatabase();
+
+    if (req.method === 'DELETE') {
+      const clearedRows = await clearCapturedPostbacks();
+
+      await logConversion({
+        clickid: 'admin',
+        action: 'captured_postbacks_cleared',
+        message: `Admin cleared ${clearedRows} captured sandbox postbacks`
+      });
+    }
+
+    const captured = await getCapturedPostbacks({ limit: req.query.limit });
+
+    return res.status(200).json({
+      sandboxMode: isSandboxEnvironment(),
+      captured
+    });
+
+  } catch (error) {
+    console.error('Error handling captured postbacks:', error);
+    return res.status(500).json({
+      error: error.message,
+      message: 'Failed to load or clear captured postbacks'
+    });
+  }
+}
@@ -0,0 +1,88 @@
+// File: pages/api/admin/destinations.js
+import { initializeDatabase, logConversion } from '../../../lib/database.js';
+import {
+  getDestinations,
+  createDestination,
+  updateDestination,
+  deleteDestination,
+  buildMacroValues,
+  renderTemplate,
+  DestinationValidationError,
+  TEMPLATE_MACROS
+} from '../../../lib/destinations.js';
+import { getCircuitStates } from '../../../lib/circuitBreaker.js';
+import { getRateLimitStates } from '../../../lib/rateLimit.js';
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    await initializeDatabase();
+
+    if (req.method === 'POST') {
+      const destination = await createDestination(req.body || {});
+
+      await logConversion({
+        clickid: 'admin',
+        action: 'destination_created',
+        message: `Admin created postback destination #${destination.id} (${destination.name}): ${destination.url_template}`
+      });
+    }
+
+    if (req.method === 'PUT') {
+      const { id, ...changes } = req.body || {};
+      const destination = await updateDestination(id, changes);
+
+      await logConversion({
+        clickid: 'admin',
+        action: 'destination_updated',
+        message: `Admin updated postback destination #${destination.id} (${destination.name}, ${destination.enabled ? 'enabled' : 'disabled'}${destination.sandbox ? ', sandbox' : ''}): ${destination.url_template}`
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const deletedRows = await deleteDestination(req.query.id);
+
+      await logConversion({
+        clickid: 'admin',
+        action: 'destination_deleted',
+        message: `Admin deleted postback destination #${req.query.id} (${deletedRows} rows removed)`
+      });
+    }
+
+    // Show every destination with a sample rendering so templates can be checked before saving more
+    const sampleValues = await buildMacroValues({ clickid: 'sample-clickid', amount: 12.5, txid: 'sample-txid' });
+    const circuits = await getCircuitStates();
+    const allDestinations = await getDestinations();
+    const rateLimits = await getRateLimitStates(allDestinations);
+    const destinations = allDestinations.map(destination => {
+      let sampleUrl = null;
+      try {
+        sampleUrl = renderTemplate(destination.url_template, sampleValues);
+      } catch (error) {
+        sampleUrl = `Template error: ${error.message}`;
+      }
+      return {
+        ...destination,
+        sampleUrl,
+        circuit: circuits[destination.id] || { state: 'closed', consecutiveFailures: 0, heldCount: 0 },
+        rateLimit: rateLimits[destination.id]
+      };
+    });
+
+    return res.status(200).json({ destinations, macros: TEMPLATE_MACROS });
+
+  } catch (error) {
+    if (error instanceof DestinationValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Error handling destinations:', error);
+    return res.status(500).json({
+      error: error.message,
+      message: 'Failed to load or update postback destinations'
+    });
+  }
+}
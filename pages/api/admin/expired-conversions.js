@@ -0,0 +1,62 @@
+// File: pages/api/admin/expired-conversions.js
+import { initializeDatabase, logConversion } from '../../../lib/database.js';
+import { listExpiredConversions, resolveReviewedConversion, REVIEW_ACTIONS } from '../../../lib/cacheExpiry.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  for (const key of ['from', 'to']) {
+    if (req.method === 'GET' && req.query[key] && !DATE_PATTERN.test(req.query[key])) {
+      return res.status(400).json({ message: `Invalid ${key} date: expected YYYY-MM-DD` });
+    }
+  }
+
+  try {
+    await initializeDatabase();
+
+    if (req.method === 'GET') {
+      const { status, from, to, limit } = req.query;
+      const conversions = await listExpiredConversions({ status, from, to, limit });
+      return res.status(200).json({ conversions });
+    }
+
+    // Resolve conversions of the review list: send each to its own clickid or write it off
+    const { ids, action, reason } = req.body || {};
+    if (!REVIEW_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `"action" must be one of: ${REVIEW_ACTIONS.join(', ')}` });
+    }
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ message: 'Provide the "ids" to resolve' });
+    }
+
+    const results = [];
+    for (const id of ids.map(value => parseInt(value)).filter(Number.isInteger)) {
+      results.push(await resolveReviewedConversion(id, action, reason || null));
+    }
+
+    const resolved = results.filter(result => result.resolved);
+
+    await logConversion({
+      clickid: 'admin',
+      action: 'expired_conversions_reviewed',
+      message: `Admin resolved ${resolved.length} of ${results.length} expired conversions in review (${action === 'send' ? 'sent to their clickids' : 'written off'})${reason ? `: ${reason}` : ''}`
+    });
+
+    return res.status(200).json({
+      requested: results.length,
+      resolved: resolved.length,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error handling expired conversions:', error);
+    return res.status(500).json({
+      error: error.message,
+      message: 'Failed to list or resolve expired conversions'
+    });
+  }
+}
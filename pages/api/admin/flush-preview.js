@@ -0,0 +1,24 @@
+// File: pages/api/admin/flush-preview.js
+import { initializeDatabase } from '../../../lib/database.js';
+import { previewFlush } from '../../../lib/flushPreview.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    await initializeDatabase();
+
+    const preview = await previewFlush();
+
+    return res.status(200).json(preview);
+
+  } catch (error) {
+    console.error('Error building flush preview:', error);
+    return res.status(500).json({
+      error: error.message,
+      message: 'Failed to build flush preview'
+    });
+  }
+}
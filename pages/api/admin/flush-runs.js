@@ -0,0 +1,36 @@
+// File: pages/api/admin/flush-runs.js
+import { initializeDatabase } from '../../../lib/database.js';
+import { listFlushRuns, getFlushRunDetail } from '../../../lib/flushRuns.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    await initializeDatabase();
+
+    // ?id= returns one run with the cached rows it claimed and the postbacks it produced
+    if (req.query.id) {
+      const detail = await getFlushRunDetail(parseInt(req.query.id));
+
+      if (!detail) {
+        return res.status(404).json({ message: `Flush run #${req.query.id} not found` });
+      }
+
+      return res.status(200).json(detail);
+    }
+
+    const { trigger, status, from, to, limit, offset } = req.query;
+    const runs = await listFlushRuns({ trigger, status, from, to, limit, offset });
+
+    return res.status(200).json({ runs });
+
+  } catch (error) {
+    console.error('Error fetching flush runs:', error);
+    return res.status(500).json({
+      error: error.message,
+      message: 'Failed to fetch flush runs'
+    });
+  }
+}
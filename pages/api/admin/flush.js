@@ -0,0 +1,47 @@
+// File: pages/api/admin/flush.js
+import { initializeDatabase, logConversion } from '../../../lib/database.js';
+import { runFlush, getFlushHttpStatus, FLUSH_TRIGGERS } from '../../../lib/flush.js';
+
+// Cron, the in-process scheduler and flush policies have their own entry points; callers of this endpoint are people or scripts
+const ENDPOINT_TRIGGERS = FLUSH_TRIGGERS.filter(trigger => !['cron', 'scheduler', 'conversion'].includes(trigger));
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const trigger = req.body?.trigger || 'api';
+
+  if (!ENDPOINT_TRIGGERS.includes(trigger)) {
+    return res.status(400).json({ message: `Invalid trigger: must be one of ${ENDPOINT_TRIGGERS.join(', ')}` });
+  }
+
+  try {
+    await initializeDatabase();
+
+    const result = await runFlush({ trigger });
+
+    return res.status(getFlushHttpStatus(result)).json({
+      timestamp: new Date().toISOString(),
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error running cache flush:', error);
+
+    try {
+      await logConversion({
+        clickid: `flush-${trigger}`,
+        action: 'flush_error',
+        message: `Cache flush error (trigger: ${trigger}): ${error.message}`
+      });
+    } catch (logError) {
+      console.error('Failed to log flush error:', logError);
+    }
+
+    return res.status(500).json({
+      error: error.message,
+      message: 'Failed to run cache flush'
+    });
+  }
+}
@@ -0,0 +1,89 @@
+// File: pages/api/admin/replay-postbacks.js
+import { initializeDatabase, logConversion } from '../../../lib/database.js';
+import { listFailedPostbacks, replayPostback } from '../../../lib/postback.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function readFilters(source = {}) {
+  const filters = {
+    from: source.from || null,
+    to: source.to || null,
+    clickid: source.clickid || null,
+    error: source.error || null,
+    limit: source.limit
+  };
+
+  for (const key of ['from', 'to']) {
+    if (filters[key] && !DATE_PATTERN.test(filters[key])) {
+      throw new Error(`Invalid ${key} date: expected YYYY-MM-DD`);
+    }
+  }
+
+  return filters;
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  let filters;
+  try {
+    filters = readFilters(req.method === 'GET' ? req.query : req.body?.filters);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    await initializeDatabase();
+
+    if (req.method === 'GET') {
+      const postbacks = await listFailedPostbacks(filters);
+      return res.status(200).json({ postbacks });
+    }
+
+    // Replay the given history ids, or every replayable postback matching the filters
+    const { ids, all } = req.body || {};
+    let postbackIds;
+
+    if (all) {
+      postbackIds = (await listFailedPostbacks(filters))
+        .filter(postback => postback.replayable)
+        .map(postback => postback.id);
+    } else if (Array.isArray(ids) && ids.length > 0) {
+      postbackIds = ids.map(id => parseInt(id)).filter(Number.isInteger);
+    } else {
+      return res.status(400).json({ message: 'Provide "ids" or "all": true' });
+    }
+
+    // One at a time: replays of the same chain lock each other anyway
+    const results = [];
+    for (const postbackId of postbackIds) {
+      results.push(await replayPostback(postbackId));
+    }
+
+    const replayed = results.filter(result => result.replayed);
+    const delivered = replayed.filter(result => result.success);
+
+    await logConversion({
+      clickid: 'admin',
+      action: 'postbacks_replayed',
+      message: `Admin replayed ${replayed.length} of ${results.length} failed postbacks: ${delivered.length} delivered, ${replayed.length - delivered.length} failed or queued, ${results.length - replayed.length} skipped`
+    });
+
+    return res.status(200).json({
+      requested: results.length,
+      replayed: replayed.length,
+      delivered: delivered.length,
+      skipped: results.length - replayed.length,
+      results
+    });
+
+  } catch (error) {
+    console.error('Error replaying postbacks:', error);
+    return res.status(500).json({
+      error: error.message,
+      message: 'Failed to list or replay postbacks'
+    });
+  }
+}
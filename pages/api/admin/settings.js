@@ -0,0 +1,50 @@
+// File: pages/api/admin/settings.js
+import { initializeDatabase, logConversion } from '../../../lib/database.js';
+import { getAllSettings, updateSetting, resetSetting, SETTING_DEFINITIONS } from '../../../lib/settings.js';
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    await initializeDatabase();
+
+    if (req.method === 'POST') {
+      const { key, value, reset } = req.body || {};
+
+      if (!SETTING_DEFINITIONS[key]) {
+        return res.status(400).json({ message: `Unknown setting: ${key}` });
+      }
+
+      if (reset) {
+        await resetSetting(key);
+      } else {
+        try {
+          await updateSetting(key, value);
+        } catch (error) {
+          return res.status(400).json({ message: error.message });
+        }
+      }
+
+      await logConversion({
+        clickid: 'admin',
+        action: 'setting_updated',
+        message: reset
+          ? `Admin reset setting ${key} to its environment/default value`
+          : `Admin updated setting ${key} to ${value}`
+      });
+    }
+
+    const settings = await getAllSettings();
+
+    return res.status(200).json({ settings });
+
+  } catch (error) {
+    console.error('Error handling settings:', error);
+    return res.status(500).json({
+      error: error.message,
+      message: 'Failed to load or update settings'
+    });
+  }
+}
@@ -1,17 +1,34 @@
 // File: pages/api/admin/stats.js
-import { getPool } from '../../../lib/database.js';
+import { getPool, initializeDatabase } from '../../../lib/database.js';
+import { getOutboxStats } from '../../../lib/postback.js';
+import { getCacheConfig } from '../../../lib/cacheMode.js';
+import { isSandboxEnvironment } from '../../../lib/sandbox.js';
+import { getFlushLockHolder } from '../../../lib/flushLock.js';
+import { getMissedFlushDates } from '../../../lib/flushPolicy.js';
+import { getExpiredTotalsByDay } from '../../../lib/cacheExpiry.js';
 
 export default async function handler(req, res) {
   try {
+    await initializeDatabase();
+
     const pool = getPool();
+    const cacheConfig = await getCacheConfig();
 
-    // Get total cached amount (now global across all clickids)
+    // Get total cached amount (now global across all clickids, excluding rows claimed by an in-flight flush)
     const [cacheStats] = await pool.execute(`
       SELECT 
         COALESCE(SUM(amount), 0) as total_cached_amount,
         COUNT(DISTINCT clickid) as unique_clickids,
         COUNT(*) as total_cached_conversions
       FROM cached_conversions
+      WHERE batch_id IS NULL
+    `);
+
+    // Get conversions held until the network approves them
+    const [pendingStats] = await pool.execute(`
+      SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as amount
+      FROM pending_conversions
+      WHERE status = 'pending'
     `);
 
     // Get postback statistics
@@ -23,7 +40,7 @@ export default async function handler(req, res) {
       FROM postback_history
     `);
 
-    // Get cached conversions grouped by clickid (for reference)
+    // Get cached conversions grouped by clickid (real balances in clickid mode, reference otherwise)
     const [cachedByClickid] = await pool.execute(`
       SELECT 
         clickid,
@@ -31,19 +48,57 @@ export default async function handler(req, res) {
         COUNT(*) as conversion_count,
         MAX(created_at) as last_updated
       FROM cached_conversions
+      WHERE batch_id IS NULL
       GROUP BY clickid
       ORDER BY total_amount DESC
       LIMIT 20
     `);
 
+    // Get cached balances grouped by aggregation key
+    const [cachedByKey] = await pool.execute(`
+      SELECT 
+        cache_key,
+        SUM(amount) as total_amount,
+        COUNT(*) as conversion_count,
+        MAX(created_at) as last_updated
+      FROM cached_conversions
+      WHERE batch_id IS NULL
+      GROUP BY cache_key
+      ORDER BY total_amount DESC
+      LIMIT 20
+    `);
+
     // Get recent postbacks
     const [recentPostbacks] = await pool.execute(`
-      SELECT clickid, amount, success, created_at
-      FROM postback_history
-      ORDER BY created_at DESC
+      SELECT ph.clickid, ph.amount, ph.success, ph.status_code, ph.latency_ms, ph.error_message, ph.created_at,
+        ph.destination_id, d.name as destination_name
+      FROM postback_history ph
+      LEFT JOIN postback_destinations d ON d.id = ph.destination_id
+      ORDER BY ph.created_at DESC
+      LIMIT 10
+    `);
+
+    // Get recent automatic flushes and the policy that fired each one
+    const [recentFlushRuns] = await pool.execute(`
+      SELECT id, DATE_FORMAT(business_date, '%Y-%m-%d') as business_date, schedule_window, timezone, trigger_source, policy, policy_detail,
+        status, attempts, total_amount, error_message, started_at, finished_at
+      FROM flush_runs
+      ORDER BY started_at DESC, id DESC
       LIMIT 10
     `);
 
+    // Get the holder of the flush lock, if a flush is running right now
+    const flushLock = await getFlushLockHolder();
+
+    // Get past business dates whose scheduled flush never completed (caught up on the next evaluation)
+    const missedFlushes = await getMissedFlushDates();
+
+    // Get the amount of cached conversions that expired per business date (last two weeks)
+    const expiredByDay = await getExpiredTotalsByDay(14);
+
+    // Get outbox counts per status (pending = waiting for a retry)
+    const outbox = await getOutboxStats();
+
     const totalPostbacks = postbackStats[0].total_postbacks;
     const successfulPostbacks = postbackStats[0].successful_postbacks;
     const successRate = totalPostbacks > 0 ? (successfulPostbacks / totalPostbacks) * 100 : 0;
@@ -56,8 +111,21 @@ export default async function handler(req, res) {
       successfulPostbacks: parseInt(successfulPostbacks),
       successRate: successRate,
       totalPostbackAmount: parseFloat(postbackStats[0].total_postback_amount),
+      cacheMode: cacheConfig.mode,
+      cacheKeyParam: cacheConfig.keyParam,
       cachedByClickid: cachedByClickid,
-      recentPostbacks: recentPostbacks
+      cachedByKey: cachedByKey,
+      recentPostbacks: recentPostbacks,
+      recentFlushRuns: recentFlushRuns,
+      missedFlushes: missedFlushes,
+      expiredByDay: expiredByDay,
+      flushInProgress: flushLock ? { holder: flushLock.owner.split(':')[0], since: flushLock.acquired_at } : null,
+      outbox: outbox,
+      pendingConversions: {
+        count: parseInt(pendingStats[0].count),
+        amount: parseFloat(pendingStats[0].amount)
+      },
+      sandboxMode: isSandboxEnvironment()
     });
 
   } catch (error) {
@@ -2,132 +2,326 @@
 import {
   initializeDatabase,
   addCachedConversion,
-  getCachedTotal,
-  getGlobalCachedTotal,
-  clearAllCachedConversions,
+  claimCachedConversions,
+  completeCachedClaim,
+  releaseCachedClaim,
+  reverseCachedConversion,
+  addPendingConversion,
+  resolvePendingConversion,
+  getPendingConversions,
   logConversion,
-  logPostback
+  withRequestScope
  } from '../../lib/database.js';
+import { getCacheThreshold } from '../../lib/settings.js';
+import { getCacheConfig, resolveCacheKey, getClaimKey, getCachedBalance, describeCacheKey } from '../../lib/cacheMode.js';
+import { deliverPostback, markReturnedToCache } from '../../lib/postback.js';
+import { getDueFlushPolicies } from '../../lib/flushPolicy.js';
+import { acquireFlushLock, releaseFlushLock } from '../../lib/flushLock.js';
+import { SchemaOutdatedError } from '../../lib/migrations.js';
  
+ // Accepted values of the `status` parameter (missing means approved)
+ const STATUS_ALIASES = {
+  approved: 'approved',
+  approve: 'approved',
+  pending: 'pending',
+  declined: 'declined',
+  rejected: 'declined',
+  refund: 'refund',
+  chargeback: 'chargeback'
+ };
+ 
+ // Statuses that take money back from an earlier approved conversion
+ const REVERSAL_STATUSES = ['refund', 'chargeback'];
+ 
+ function reply(body, status = 200) {
+  return { status, body };
+ }
+ 
+ // Affiliate networks time out on slow responses: the whole request runs on one database connection and
+ // its log events are written in one INSERT (see withRequestScope in lib/database.js). The response goes
+ // out once the scope settled and the logs are written: work after a response may never run on Vercel.
  export default async function handler(req, res) {
+  const response = await withRequestScope(() => processConversion(req));
+  return res.status(response.status).send(response.body);
+ }
+ 
+ // The request without the scope, resolving to the response { status, body }. `initialize` stands in
+ // for the schema check; scripts/benchmark-conversion.js uses both to time the previous request path.
+ export async function processConversion(req, { initialize = initializeDatabase } = {}) {
+  // Cached rows claimed by this request; handed back to the cache if we fail before resolving them
+  let claim = null;
+  // Flush lock held while this request claims and sends the cache
+  let flushLock = null;
+  
   try {
-    await initializeDatabase();
+    await initialize();
     
 
     
-    const { clickid, sum } = req.query;
-    const sumValue = parseFloat(sum || 0);
+    const { clickid, sum, txid } = req.query;
+    let sumValue = parseFloat(sum || 0);
+    const status = STATUS_ALIASES[String(req.query.status || 'approved').toLowerCase()];
     
     await logConversion({
       clickid,
       original_amount: sumValue,
       action: 'request_received',
-      message: `Request received: clickid=${clickid}, sum=${sum}`
+      message: `Request received: clickid=${clickid}, sum=${sum}, status=${req.query.status || 'approved'}${txid ? `, txid=${txid}` : ''}`
     });
     
-    if (!clickid || sumValue <= 0) {
+    // Only an approval may omit the sum (it then uses the amount of the pending conversion it approves)
+    if (!clickid || !status || sumValue < 0 || (sumValue === 0 && status !== 'approved')) {
+      await logConversion({
+        clickid,
+        original_amount: sumValue,
+        action: 'validation_failed',
+        message: `Invalid input rejected: clickid=${clickid}, sum=${sum}, status=${req.query.status}`
+      });
+      return reply("0");
+    }
+    
+    if (status === 'pending') {
+      return reply(await holdPendingConversion({ clickid, sumValue, txid }));
+    }
+    
+    if (status === 'declined') {
+      return reply(await declinePendingConversion({ clickid, sumValue, txid }));
+    }
+    
+    if (REVERSAL_STATUSES.includes(status)) {
+      return reply(await reverseConversion({ clickid, sumValue, txid, status, currency: req.query.currency }));
+    }
+    
+    // Only an explicit status=approved resolves a held conversion: the one with its txid, or without a
+    // txid the oldest one of the clickid with the same amount (any amount when the sum is omitted).
+    // Requests without a status are plain conversions and never touch held ones.
+    const explicitApproval = Boolean(req.query.status);
+    const approvedPending = explicitApproval
+      ? await resolvePendingConversion({ clickid, txid, status: 'approved', amount: txid || sumValue <= 0 ? null : sumValue })
+      : null;
+    
+    if (approvedPending) {
+      const pendingAmount = approvedPending.amount;
+      if (sumValue <= 0) {
+        sumValue = pendingAmount;
+      }
+      
+      await logConversion({
+        clickid,
+        original_amount: sumValue,
+        action: 'pending_approved',
+        message: `Pending conversion #${approvedPending.id} ($${pendingAmount.toFixed(2)}) approved; processing $${sumValue.toFixed(2)}`
+      });
+      
+      if (Math.round(sumValue * 100) !== Math.round(pendingAmount * 100)) {
+        await logConversion({
+          clickid,
+          original_amount: sumValue,
+          action: 'pending_amount_mismatch',
+          message: `Approval of pending conversion #${approvedPending.id} (txid ${txid}) carries $${sumValue.toFixed(2)} but $${pendingAmount.toFixed(2)} was held; processing the approved $${sumValue.toFixed(2)}`
+        });
+      }
+    } else if (explicitApproval && sumValue > 0) {
+      const held = await getPendingConversions(clickid);
+      
+      if (held.length > 0) {
+        await logConversion({
+          clickid,
+          original_amount: sumValue,
+          action: 'pending_approval_unmatched',
+          message: `Approval of $${sumValue.toFixed(2)}${txid ? ` (txid ${txid})` : ''} matches none of the ${held.length} pending conversion(s) of this clickid (${held.map(row => `#${row.id} $${row.amount.toFixed(2)}${row.txid ? ` txid ${row.txid}` : ''}`).join(', ')}); processed as a new conversion, they stay held`
+        });
+      }
+    }
+    
+    if (sumValue <= 0) {
       await logConversion({
         clickid,
         original_amount: sumValue,
         action: 'validation_failed',
-        message: `Invalid input rejected: clickid=${clickid}, sum=${sum}`
+        message: `Invalid input rejected: clickid=${clickid}, sum=${sum} (no pending conversion to approve)`
       });
-      return res.status(200).send("0");
+      return reply("0");
     }
     
-    const cachedTotal = await getCachedTotal();
+    const threshold = await getCacheThreshold();
+    const cacheConfig = await getCacheConfig();
+    const cacheKey = resolveCacheKey(cacheConfig, clickid, req.query);
+    const cacheLabel = describeCacheKey(getClaimKey(cacheConfig, cacheKey));
+    const cachedTotal = await getCachedBalance(cacheConfig, cacheKey);
     
     await logConversion({
       clickid,
       original_amount: sumValue,
       cached_amount: cachedTotal,
+      threshold,
       action: 'cache_loaded',
-      message: `GLOBAL cached total: $${cachedTotal.toFixed(2)}, New conversion: $${sumValue.toFixed(2)}`
+      message: `${cacheLabel} cached total: $${cachedTotal.toFixed(2)} (mode: ${cacheConfig.mode}), New conversion: $${sumValue.toFixed(2)}, Threshold: $${threshold.toFixed(2)}`
     });
     
-    if (sumValue < 10) {
-      await addCachedConversion(clickid, sumValue);
-      const newCachedTotal = await getGlobalCachedTotal();
+    if (sumValue < threshold) {
+      await addCachedConversion(clickid, sumValue, cacheKey, txid || null);
+      const newCachedTotal = Math.round((cachedTotal + sumValue) * 100) / 100;
       
       await logConversion({
         clickid,
         original_amount: sumValue,
         cached_amount: newCachedTotal,
+        threshold,
         action: 'cached_conversion',
-        message: `Cached sub-$10 conversion ($${sumValue.toFixed(2)}). New GLOBAL total cached: $${newCachedTotal.toFixed(2)}`
+        message: `Cached conversion below $${threshold.toFixed(2)} threshold ($${sumValue.toFixed(2)}). New ${cacheLabel} total cached: $${newCachedTotal.toFixed(2)}`
       });
       
-      return res.status(200).send("1");
+      // Flushes run on the cron / scheduler tick, never here: a conversion must not wait on postbacks.
+      // A threshold or max-age policy that is now due is only noted. The conversion is safely cached, so
+      // a failing check must not change the response.
+      try {
+        const due = await getDueFlushPolicies();
+        
+        if (due.length > 0) {
+          await logConversion({
+            clickid,
+            cached_amount: newCachedTotal,
+            threshold,
+            action: 'flush_policy_due',
+            message: `Flush due, left to the next scheduled tick: ${due.map(item => `${item.policy} (${item.detail})`).join('; ')}`
+          });
+        }
+      } catch (policyError) {
+        console.error('Flush policy check error:', policyError);
+        await logConversion({
+          clickid,
+          action: 'flush_policy_error',
+          message: `Flush policy check after caching failed: ${policyError.message}`
+        });
+      }
+      
+      return reply("1");
     }
     
-    const totalToSend = sumValue + cachedTotal;
-    const redtrackUrl = `https://clks.trackthisclicks.com/postback?clickid=${encodeURIComponent(clickid)}&sum=${encodeURIComponent(totalToSend)}`;
+    // Claim the cached rows atomically so a concurrent request can't absorb the same amount. While a
+    // flush holds the lock the cache is left to it and this conversion is sent on its own.
+    flushLock = await acquireFlushLock(`conversion-${clickid}`);
+    if (flushLock) {
+      claim = await claimCachedConversions(getClaimKey(cacheConfig, cacheKey));
+    } else {
+      claim = { batchId: null, cacheKey, rows: [], total: 0 };
+      
+      await logConversion({
+        clickid,
+        original_amount: sumValue,
+        threshold,
+        action: 'cache_flush_in_progress',
+        message: `Flush already in progress: sending $${sumValue.toFixed(2)} without the ${cacheLabel} cache`
+      });
+    }
+    const claimedTotal = claim.total;
+    const totalToSend = sumValue + claimedTotal;
     
     await logConversion({
       clickid,
       original_amount: sumValue,
-      cached_amount: cachedTotal,
+      cached_amount: claimedTotal,
       total_sent: totalToSend,
+      threshold,
       action: 'preparing_postback',
-      message: `Preparing to send postback to RedTrack. Total: $${totalToSend.toFixed(2)} (Current conversion: $${sumValue.toFixed(2)} + Global cache: $${cachedTotal.toFixed(2)}), clickid: ${clickid}`
+      message: `Preparing to send postback to all enabled destinations (conversion at or above $${threshold.toFixed(2)} threshold). Total: $${totalToSend.toFixed(2)} (Current conversion: $${sumValue.toFixed(2)} + Claimed ${cacheLabel} cache: $${claimedTotal.toFixed(2)} from ${claim.rows.length} entries, batch ${claim.batchId}), clickid: ${clickid}`
     });
     
-    if (cachedTotal > 0) {
-      const clearedRows = await clearAllCachedConversions();
-      
+    const delivery = await deliverPostback({
+      clickid,
+      amount: totalToSend,
+      txid,
+      status,
+      currency: req.query.currency,
+      source: 'conversion'
+    });
+    const postbackSuccess = delivery.success;
+    
+    // The outcome is known from here on; don't let the error handler release a delivered batch
+    const batch = claim;
+    claim = null;
+    
+    if (postbackSuccess) {
       await logConversion({
         clickid,
         original_amount: sumValue,
-        cached_amount: cachedTotal,
+        cached_amount: claimedTotal,
         total_sent: totalToSend,
-        action: 'global_cache_cleared',
-        message: `GLOBAL cache cleared before postback. Removed ${clearedRows} cached entries from ALL clickids. Total to send: $${totalToSend.toFixed(2)}`
+        threshold,
+        action: 'postback_success',
+        message: `Postback successful (txid ${delivery.txid}). Response: ${delivery.responseText}`
       });
-    }
-    
-    let postbackSuccess = false;
-    let responseText = '';
-    let errorMessage = null;
-    
-    try {
-      const response = await fetch(redtrackUrl);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      responseText = await response.text();
-      postbackSuccess = true;
-      
+    } else if (delivery.queued) {
       await logConversion({
         clickid,
         original_amount: sumValue,
-        cached_amount: cachedTotal,
+        cached_amount: claimedTotal,
         total_sent: totalToSend,
-        action: 'postback_success',
-        message: `Postback successful. Response: ${responseText}`
+        threshold,
+        action: 'postback_queued',
+        message: `Postback not delivered to every destination (txid ${delivery.txid}): ${delivery.summary}`
       });
-      
-    } catch (error) {
-      errorMessage = error.message;
-      
+    } else {
       await logConversion({
         clickid,
         original_amount: sumValue,
-        cached_amount: cachedTotal,
+        cached_amount: claimedTotal,
         total_sent: totalToSend,
+        threshold,
         action: 'postback_failed',
-        message: `Error sending postback: ${error.message}`
+        message: `Error sending postback (txid ${delivery.txid}, nothing queued for retry): ${delivery.summary}`
       });
     }
     
-    await logPostback(clickid, totalToSend, redtrackUrl, postbackSuccess, responseText, errorMessage);
+    if (batch.rows.length > 0) {
+      // Once any destination delivered or queued the amount, the rows must not go back to the cache
+      if (delivery.accepted) {
+        const clearedRows = await completeCachedClaim(batch.batchId);
+        
+        await logConversion({
+          clickid,
+          original_amount: sumValue,
+          cached_amount: claimedTotal,
+          total_sent: totalToSend,
+          threshold,
+          action: 'global_cache_cleared',
+          message: postbackSuccess
+            ? `Claimed cache cleared after successful postback. Removed ${clearedRows} cached entries (batch ${batch.batchId}). Total sent: $${totalToSend.toFixed(2)}`
+            : `Claimed cache cleared; undelivered destinations are handled by the outbox. Removed ${clearedRows} cached entries (batch ${batch.batchId}). Total queued: $${totalToSend.toFixed(2)}`
+        });
+      } else {
+        // Cache this conversion's own amount next to the released rows, so the whole failed total goes out
+        // with a later flush; only then may the failed postbacks be kept from being replayed on top of it
+        await addCachedConversion(clickid, sumValue, cacheKey, txid || null);
+        const releasedRows = await releaseCachedClaim(batch.batchId);
+        await markReturnedToCache(delivery);
+        
+        await logConversion({
+          clickid,
+          original_amount: sumValue,
+          cached_amount: claimedTotal,
+          total_sent: totalToSend,
+          threshold,
+          action: 'cache_claim_released',
+          message: `Postback failed. Returned ${releasedRows} claimed entries ($${claimedTotal.toFixed(2)}, batch ${batch.batchId}) to the cache and cached this conversion ($${sumValue.toFixed(2)}); the total goes out with the next flush.`
+        });
+      }
+    }
     
     if (postbackSuccess) {
-      return res.status(200).send("2");
+      return reply("2");
     } else {
-      return res.status(200).send("3");
+      return reply("3");
     }
     
   } catch (error) {
+    // Migrations are pending: refuse the conversion (nothing was written) so the network retries it
+    if (error instanceof SchemaOutdatedError) {
+      console.error('Conversion refused:', error.message);
+      return reply("5", 503);
+    }
+    
     console.error('Database error:', error);
     
     try {
@@ -140,6 +334,99 @@ import {
       console.error('Failed to log error:', logError);
     }
     
-    return res.status(200).send("4");
+    if (claim && claim.rows.length > 0) {
+      try {
+        await releaseCachedClaim(claim.batchId);
+      } catch (releaseError) {
+        console.error('Failed to release cache claim:', releaseError);
+      }
+    }
+    
+    return reply("4");
+  } finally {
+    if (flushLock) {
+      await releaseFlushLock(flushLock);
+    }
+  }
+ }
+ 
+ async function holdPendingConversion({ clickid, sumValue, txid }) {
+  const pendingId = await addPendingConversion(clickid, sumValue, txid || null);
+  
+  await logConversion({
+    clickid,
+    original_amount: sumValue,
+    action: 'pending_conversion_held',
+    message: `Pending conversion #${pendingId} held until approved ($${sumValue.toFixed(2)}${txid ? `, txid ${txid}` : ''})`
+  });
+  
+  return "1";
+ }
+ 
+ async function declinePendingConversion({ clickid, sumValue, txid }) {
+  const declined = await resolvePendingConversion({ clickid, txid, status: 'declined', amount: txid || sumValue <= 0 ? null : sumValue });
+  
+  await logConversion({
+    clickid,
+    original_amount: sumValue,
+    action: declined ? 'pending_declined' : 'decline_ignored',
+    message: declined
+      ? `Pending conversion #${declined.id} ($${declined.amount.toFixed(2)}) declined; nothing will be sent`
+      : `Decline received but no pending conversion matches${txid ? ` txid ${txid}` : ''}; nothing to do`
+  });
+  
+  return "1";
+ }
+ 
+ // Take a refund/chargeback back out of the cache while the original is still cached; whatever was
+ // already sent is reversed with a negative correction postback.
+ async function reverseConversion({ clickid, sumValue, txid, status, currency }) {
+  // A reversal of a conversion that is still waiting for approval just cancels it (matched like an approval)
+  const cancelled = await resolvePendingConversion({ clickid, txid, status, amount: txid || sumValue <= 0 ? null : sumValue });
+  
+  if (cancelled) {
+    await logConversion({
+      clickid,
+      original_amount: sumValue,
+      action: 'pending_reversed',
+      message: `${status} received for pending conversion #${cancelled.id} ($${cancelled.amount.toFixed(2)}); it will not be sent`
+    });
+    return "1";
+  }
+  
+  const fromCache = await reverseCachedConversion({ clickid, txid, amount: sumValue });
+  const remaining = Math.round((sumValue - fromCache) * 100) / 100;
+  
+  if (fromCache > 0) {
+    await logConversion({
+      clickid,
+      original_amount: sumValue,
+      cached_amount: fromCache,
+      action: 'refund_cache_reversed',
+      message: `${status} of $${sumValue.toFixed(2)}: removed $${fromCache.toFixed(2)} from the cache${remaining > 0 ? `, $${remaining.toFixed(2)} was already sent` : ''}`
+    });
+  }
+  
+  if (remaining <= 0) {
+    return "1";
   }
- }
\ No newline at end of file
+  
+  const delivery = await deliverPostback({
+    clickid,
+    amount: -remaining,
+    txid: txid ? `${txid}-${status}` : undefined,
+    status,
+    currency,
+    source: status
+  });
+  
+  await logConversion({
+    clickid,
+    original_amount: sumValue,
+    total_sent: -remaining,
+    action: delivery.success ? 'refund_correction_sent' : delivery.queued ? 'refund_correction_queued' : 'refund_correction_failed',
+    message: `Negative correction postback of -$${remaining.toFixed(2)} for ${status} (txid ${delivery.txid}): ${delivery.summary}`
+  });
+  
+  return delivery.success ? "2" : "3";
+ }
@@ -0,0 +1,45 @@
+// File: pages/api/cron/postback-outbox.js
+import { initializeDatabase, logConversion } from '../../../lib/database.js';
+import { processOutbox, logOutboxSummary } from '../../../lib/postback.js';
+import { getCronAuthError } from '../../../lib/cronAuth.js';
+
+export default async function handler(req, res) {
+  try {
+    // Verify the request carries the cron secret
+    const authError = getCronAuthError(req);
+    if (authError) {
+      return res.status(authError.status).json({ error: authError.error });
+    }
+
+    await initializeDatabase();
+
+    const summary = await processOutbox({ limit: req.query.limit });
+
+    await logOutboxSummary(summary);
+
+    return res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...summary
+    });
+
+  } catch (error) {
+    console.error('Outbox worker error:', error);
+
+    try {
+      await logConversion({
+        clickid: 'outbox-worker',
+        action: 'outbox_error',
+        message: `Outbox worker error: ${error.message}`
+      });
+    } catch (logError) {
+      console.error('Failed to log outbox error:', logError);
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -0,0 +1,160 @@
+// File: pages/captured.js
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+
+export default function CapturedPostbacksViewer() {
+    const [captured, setCaptured] = useState([]);
+    const [sandboxMode, setSandboxMode] = useState(false);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(true);
+
+    const fetchCaptured = async (method = 'GET') => {
+        try {
+            setLoading(true);
+            setError('');
+
+            const response = await fetch('/api/admin/captured-postbacks', { method });
+            const data = await response.json();
+
+            if (response.ok) {
+                setCaptured(data.captured);
+                setSandboxMode(data.sandboxMode);
+            } else {
+                setError(data.message || 'Failed to load captured postbacks');
+            }
+        } catch (err) {
+            setError('Error loading captured postbacks: ' + (err.message || 'Unknown error'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const clearCaptured = () => {
+        if (confirm('Delete every captured postback?')) {
+            fetchCaptured('DELETE');
+        }
+    };
+
+    useEffect(() => {
+        fetchCaptured();
+        // Auto-refresh every 10 seconds
+        const interval = setInterval(fetchCaptured, 10000);
+        return () => clearInterval(interval);
+    }, []);
+
+    return (
+        <div style={{ padding: '20px', maxWidth: '1200px', margin: '0 auto' }}>
+            <Head>
+                <title>Captured Postbacks</title>
+                <meta name="description" content="Postbacks captured in sandbox mode" />
+            </Head>
+
+            <header style={{ marginBottom: '20px' }}>
+                <h1>Captured Postbacks (Sandbox)</h1>
+                <p style={{ color: '#666' }}>
+                    {sandboxMode
+                        ? 'Sandbox mode is ON for this environment: every postback is captured here instead of being sent.'
+                        : 'Sandbox mode is off for this environment; only destinations with their sandbox toggle enabled are captured.'}
+                </p>
+                <div style={{ display: 'flex', gap: '10px' }}>
+                    <button
+                        onClick={() => fetchCaptured()}
+                        disabled={loading}
+                        style={{
+                            padding: '8px 16px',
+                            background: '#0070f3',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: loading ? 'default' : 'pointer'
+                        }}
+                    >
+                        {loading ? 'Loading...' : 'Refresh'}
+                    </button>
+                    <button
+                        onClick={clearCaptured}
+                        disabled={loading || captured.length === 0}
+                        style={{
+                            padding: '8px 16px',
+                            background: '#dc3545',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: loading ? 'default' : 'pointer'
+                        }}
+                    >
+                        Clear Captured
+                    </button>
+                </div>
+            </header>
+
+            {error && (
+                <div style={{
+                    padding: '12px',
+                    background: '#fff0f0',
+                    color: '#d32f2f',
+                    borderRadius: '4px',
+                    marginBottom: '20px'
+                }}>
+                    {error}
+                </div>
+            )}
+
+            {captured.length > 0 ? (
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={{
+                        width: '100%',
+                        borderCollapse: 'collapse',
+                        background: 'white'
+                    }}>
+                        <thead>
+                            <tr style={{ background: '#f8f9fa' }}>
+                                <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Captured</th>
+                                <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Source</th>
+                                <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Destination</th>
+                                <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Clickid</th>
+                                <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>Amount</th>
+                                <th style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'left' }}>Request</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {captured.map(request => (
+                                <tr key={request.id}>
+                                    <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                        {new Date(request.created_at).toLocaleString()}
+                                    </td>
+                                    <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                        {request.source || '-'}
+                                        <div style={{ fontSize: '12px', color: '#666' }}>{request.reason} sandbox</div>
+                                    </td>
+                                    <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                        {request.destination_name || (request.destination_id ? `#${request.destination_id}` : '-')}
+                                    </td>
+                                    <td style={{ padding: '12px', border: '1px solid #dee2e6' }}>
+                                        {request.clickid}
+                                    </td>
+                                    <td style={{ padding: '12px', border: '1px solid #dee2e6', textAlign: 'right' }}>
+                                        ${parseFloat(request.amount).toFixed(2)}
+                                    </td>
+                                    <td style={{ padding: '12px', border: '1px solid #dee2e6', fontFamily: 'monospace', fontSize: '13px', wordBreak: 'break-all' }}>
+                                        {request.method} {request.url}
+                                        {request.txid && <div style={{ color: '#666' }}>txid: {request.txid}</div>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : !error && !loading ? (
+                <p>No postbacks captured yet.</p>
+            ) : null}
+
+            <footer style={{ marginTop: '30px', fontSize: '14px', color: '#666' }}>
+                <p>
+                    Captured postbacks count as delivered, so caching and cache clears behave exactly as in production.
+                    Visit <a href="/admin" style={{ color: '#0070f3' }}>Admin Dashboard</a> to toggle sandbox mode per destination.
+                </p>
+            </footer>
+        </div>
+    );
+}
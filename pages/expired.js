@@ -0,0 +1,259 @@
+// File: pages/expired.js
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+
+const STATUSES = ['review', 'flushed', 'written_off', 'sent', 'sending'];
+
+const STATUS_COLORS = { review: '#856404', written_off: '#dc3545', flushed: '#28a745', sent: '#28a745' };
+
+const cellStyle = { padding: '10px', border: '1px solid #dee2e6' };
+const headerStyle = { ...cellStyle, textAlign: 'left' };
+
+export default function ExpiredConversions() {
+    const [conversions, setConversions] = useState([]);
+    const [filters, setFilters] = useState({ status: 'review', from: '', to: '' });
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [resolving, setResolving] = useState(null);
+
+    const fetchConversions = async () => {
+        try {
+            setLoading(true);
+            setError('');
+
+            const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+            const response = await fetch(`/api/admin/expired-conversions?${params}`);
+            const data = await response.json();
+
+            if (response.ok) {
+                setConversions(data.conversions);
+            } else {
+                setError(data.message || 'Failed to load expired conversions');
+            }
+        } catch (err) {
+            setError('Error loading expired conversions: ' + (err.message || 'Unknown error'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const resolve = async (ids, action) => {
+        let reason = null;
+
+        if (action === 'write_off') {
+            reason = prompt(`Write off ${ids.length} expired conversion(s)? Enter a reason:`, 'Written off after review');
+            if (reason === null) return;
+        } else if (!confirm(`Send ${ids.length} expired conversion(s) to their own clickids now?`)) {
+            return;
+        }
+
+        try {
+            setResolving(action);
+
+            const response = await fetch('/api/admin/expired-conversions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids, action, reason })
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                const failed = data.results.filter(result => !result.resolved);
+                alert(`Resolved ${data.resolved} of ${data.requested}.${failed.length > 0 ? `\n\nNot resolved:\n${failed.map(result => `#${result.id}: ${result.reason}${result.error ? ` (${result.error})` : ''}`).join('\n')}` : ''}`);
+                fetchConversions();
+            } else {
+                alert(`Error: ${data.message}`);
+            }
+        } catch (err) {
+            alert('Error resolving expired conversions: ' + (err.message || 'Unknown error'));
+        } finally {
+            setResolving(null);
+        }
+    };
+
+    useEffect(() => {
+        fetchConversions();
+    }, []);
+
+    const inReview = conversions.filter(conversion => conversion.status === 'review');
+    const totalAmount = conversions.reduce((sum, conversion) => sum + parseFloat(conversion.amount), 0);
+
+    return (
+        <div style={{ padding: '20px', maxWidth: '1200px', margin: '0 auto' }}>
+            <Head>
+                <title>Expired Conversions</title>
+                <meta name="description" content="Cached conversions that outlived the cache TTL" />
+            </Head>
+
+            <header style={{ marginBottom: '20px' }}>
+                <h1>Expired Conversions</h1>
+                <p style={{ color: '#666' }}>
+                    Cached conversions that outlived the cache TTL: flushed to their own clickid, written off, or waiting in the review list.
+                </p>
+                <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center' }}>
+                    <select
+                        value={filters.status}
+                        onChange={e => setFilters({ ...filters, status: e.target.value })}
+                        style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                    >
+                        <option value="">All statuses</option>
+                        {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                    </select>
+                    <label style={{ fontSize: '14px' }}>
+                        Business date from{' '}
+                        <input
+                            type="date"
+                            value={filters.from}
+                            onChange={e => setFilters({ ...filters, from: e.target.value })}
+                            style={{ padding: '5px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                        />
+                    </label>
+                    <label style={{ fontSize: '14px' }}>
+                        to{' '}
+                        <input
+                            type="date"
+                            value={filters.to}
+                            onChange={e => setFilters({ ...filters, to: e.target.value })}
+                            style={{ padding: '5px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                        />
+                    </label>
+                    <button
+                        onClick={fetchConversions}
+                        disabled={loading}
+                        style={{
+                            padding: '8px 16px',
+                            background: '#0070f3',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: loading ? 'default' : 'pointer'
+                        }}
+                    >
+                        {loading ? 'Loading...' : 'Search'}
+                    </button>
+                    {inReview.length > 0 && (
+                        <>
+                            <button
+                                onClick={() => resolve(inReview.map(conversion => conversion.id), 'send')}
+                                disabled={resolving !== null}
+                                style={{
+                                    padding: '8px 16px',
+                                    background: '#28a745',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: resolving ? 'default' : 'pointer'
+                                }}
+                            >
+                                {resolving === 'send' ? 'Sending...' : `Send All ${inReview.length} in Review`}
+                            </button>
+                            <button
+                                onClick={() => resolve(inReview.map(conversion => conversion.id), 'write_off')}
+                                disabled={resolving !== null}
+                                style={{
+                                    padding: '8px 16px',
+                                    background: '#dc3545',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: resolving ? 'default' : 'pointer'
+                                }}
+                            >
+                                {resolving === 'write_off' ? 'Writing off...' : `Write Off All ${inReview.length} in Review`}
+                            </button>
+                        </>
+                    )}
+                </div>
+            </header>
+
+            {error && (
+                <div style={{
+                    padding: '12px',
+                    background: '#fff0f0',
+                    color: '#d32f2f',
+                    borderRadius: '4px',
+                    marginBottom: '20px'
+                }}>
+                    {error}
+                </div>
+            )}
+
+            {conversions.length > 0 ? (
+                <>
+                    <p style={{ fontSize: '14px', color: '#666' }}>
+                        {conversions.length} expired conversions, ${totalAmount.toFixed(2)} in total.
+                    </p>
+                    <div style={{ overflowX: 'auto' }}>
+                        <table style={{ width: '100%', borderCollapse: 'collapse', background: 'white', fontSize: '14px' }}>
+                            <thead>
+                                <tr style={{ background: '#f8f9fa' }}>
+                                    <th style={headerStyle}>Business Date</th>
+                                    <th style={headerStyle}>Clickid</th>
+                                    <th style={headerStyle}>Cache Key</th>
+                                    <th style={{ ...headerStyle, textAlign: 'right' }}>Amount</th>
+                                    <th style={headerStyle}>Cached At</th>
+                                    <th style={headerStyle}>Expired At</th>
+                                    <th style={headerStyle}>Status</th>
+                                    <th style={headerStyle}>Reason</th>
+                                    <th style={headerStyle}>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {conversions.map(conversion => (
+                                    <tr key={conversion.id}>
+                                        <td style={cellStyle}>{conversion.business_date}</td>
+                                        <td style={cellStyle}>
+                                            {conversion.clickid}
+                                            {conversion.txid && <div style={{ fontSize: '12px', color: '#666' }}>txid {conversion.txid}</div>}
+                                        </td>
+                                        <td style={cellStyle}>{conversion.cache_key}</td>
+                                        <td style={{ ...cellStyle, textAlign: 'right' }}>${parseFloat(conversion.amount).toFixed(2)}</td>
+                                        <td style={cellStyle}>{conversion.cached_at ? new Date(conversion.cached_at).toLocaleString() : '-'}</td>
+                                        <td style={cellStyle}>{new Date(conversion.expired_at).toLocaleString()}</td>
+                                        <td style={{ ...cellStyle, color: STATUS_COLORS[conversion.status] || '#666', fontWeight: 'bold' }}>
+                                            {conversion.status}
+                                            {conversion.flush_run_id && (
+                                                <div style={{ fontSize: '12px', fontWeight: 'normal' }}>
+                                                    <a href={`/flush-runs?id=${conversion.flush_run_id}`} style={{ color: '#0070f3' }}>run #{conversion.flush_run_id}</a>
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td style={cellStyle}>{conversion.reason || '-'}</td>
+                                        <td style={cellStyle}>
+                                            {conversion.status === 'review' ? (
+                                                <div style={{ display: 'flex', gap: '5px' }}>
+                                                    <button
+                                                        onClick={() => resolve([conversion.id], 'send')}
+                                                        disabled={resolving !== null}
+                                                        style={{ padding: '4px 8px', background: '#28a745', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+                                                    >
+                                                        Send
+                                                    </button>
+                                                    <button
+                                                        onClick={() => resolve([conversion.id], 'write_off')}
+                                                        disabled={resolving !== null}
+                                                        style={{ padding: '4px 8px', background: '#dc3545', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '12px' }}
+                                                    >
+                                                        Write Off
+                                                    </button>
+                                                </div>
+                                            ) : '-'}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            ) : !error && !loading ? (
+                <p>No expired conversions found.</p>
+            ) : null}
+
+            <footer style={{ marginTop: '30px', fontSize: '14px', color: '#666' }}>
+                <p>
+                    Configure the cache TTL and expiry action on the <a href="/admin" style={{ color: '#0070f3' }}>Admin Dashboard</a>.
+                </p>
+            </footer>
+        </div>
+    );
+}
@@ -0,0 +1,291 @@
+// File: pages/flush-runs.js
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+
+const TRIGGERS = ['cron', 'scheduler', 'conversion', 'force', 'manual', 'api'];
+const STATUSES = ['running', 'sent', 'queued', 'failed', 'empty', 'error'];
+
+const STATUS_COLORS = { sent: '#28a745', queued: '#fd7e14', failed: '#dc3545', error: '#dc3545' };
+
+const cellStyle = { padding: '10px', border: '1px solid #dee2e6' };
+const headerStyle = { ...cellStyle, textAlign: 'left' };
+
+const formatAmount = amount => (amount === null || amount === undefined ? '-' : `$${parseFloat(amount).toFixed(2)}`);
+
+export default function FlushRunHistory() {
+    const router = useRouter();
+    const [runs, setRuns] = useState([]);
+    const [filters, setFilters] = useState({ trigger: '', status: '', from: '', to: '' });
+    const [selected, setSelected] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(true);
+
+    const fetchRuns = async () => {
+        try {
+            setLoading(true);
+            setError('');
+
+            const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+            const response = await fetch(`/api/admin/flush-runs?${params}`);
+            const data = await response.json();
+
+            if (response.ok) {
+                setRuns(data.runs);
+            } else {
+                setError(data.message || 'Failed to load flush runs');
+            }
+        } catch (err) {
+            setError('Error loading flush runs: ' + (err.message || 'Unknown error'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openRun = async (id) => {
+        try {
+            setError('');
+
+            const response = await fetch(`/api/admin/flush-runs?id=${id}`);
+            const data = await response.json();
+
+            if (response.ok) {
+                setSelected(data);
+                router.replace({ pathname: '/flush-runs', query: { id } }, undefined, { shallow: true });
+            } else {
+                setError(data.message || 'Failed to load flush run');
+            }
+        } catch (err) {
+            setError('Error loading flush run: ' + (err.message || 'Unknown error'));
+        }
+    };
+
+    useEffect(() => {
+        fetchRuns();
+    }, []);
+
+    // Links from the dashboard open a run directly
+    useEffect(() => {
+        if (router.isReady && router.query.id) {
+            openRun(router.query.id);
+        }
+    }, [router.isReady]);
+
+    return (
+        <div style={{ padding: '20px', maxWidth: '1200px', margin: '0 auto' }}>
+            <Head>
+                <title>Flush History</title>
+                <meta name="description" content="History of cache flush runs" />
+            </Head>
+
+            <header style={{ marginBottom: '20px' }}>
+                <h1>Flush History</h1>
+                <p style={{ color: '#666' }}>
+                    Every cache flush with what triggered it, the cached conversions it claimed and the postbacks it sent. Click a run for details.
+                </p>
+                <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center' }}>
+                    <select
+                        value={filters.trigger}
+                        onChange={e => setFilters({ ...filters, trigger: e.target.value })}
+                        style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                    >
+                        <option value="">All triggers</option>
+                        {TRIGGERS.map(trigger => <option key={trigger} value={trigger}>{trigger}</option>)}
+                    </select>
+                    <select
+                        value={filters.status}
+                        onChange={e => setFilters({ ...filters, status: e.target.value })}
+                        style={{ padding: '6px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                    >
+                        <option value="">All outcomes</option>
+                        {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                    </select>
+                    <label style={{ fontSize: '14px' }}>
+                        Business date from{' '}
+                        <input
+                            type="date"
+                            value={filters.from}
+                            onChange={e => setFilters({ ...filters, from: e.target.value })}
+                            style={{ padding: '5px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                        />
+                    </label>
+                    <label style={{ fontSize: '14px' }}>
+                        to{' '}
+                        <input
+                            type="date"
+                            value={filters.to}
+                            onChange={e => setFilters({ ...filters, to: e.target.value })}
+                            style={{ padding: '5px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                        />
+                    </label>
+                    <button
+                        onClick={fetchRuns}
+                        disabled={loading}
+                        style={{
+                            padding: '8px 16px',
+                            background: '#0070f3',
+                            color: 'white',
+                            border: 'none',
+                            borderRadius: '4px',
+                            cursor: loading ? 'default' : 'pointer'
+                        }}
+                    >
+                        {loading ? 'Loading...' : 'Search'}
+                    </button>
+                </div>
+            </header>
+
+            {error && (
+                <div style={{
+                    padding: '12px',
+                    background: '#fff0f0',
+                    color: '#d32f2f',
+                    borderRadius: '4px',
+                    marginBottom: '20px'
+                }}>
+                    {error}
+                </div>
+            )}
+
+            {runs.length > 0 ? (
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', background: 'white' }}>
+                        <thead>
+                            <tr style={{ background: '#f8f9fa' }}>
+                                <th style={headerStyle}>Run</th>
+                                <th style={headerStyle}>Business Date</th>
+                                <th style={headerStyle}>Trigger / Policy</th>
+                                <th style={headerStyle}>Started</th>
+                                <th style={headerStyle}>Finished</th>
+                                <th style={{ ...headerStyle, textAlign: 'right' }}>Rows</th>
+                                <th style={{ ...headerStyle, textAlign: 'right' }}>Amount</th>
+                                <th style={{ ...headerStyle, textAlign: 'right' }}>Postbacks</th>
+                                <th style={headerStyle}>Outcome</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {runs.map(run => (
+                                <tr
+                                    key={run.id}
+                                    onClick={() => openRun(run.id)}
+                                    style={{ cursor: 'pointer', background: selected?.run.id === run.id ? '#e7f1ff' : 'white' }}
+                                >
+                                    <td style={cellStyle}>#{run.id}</td>
+                                    <td style={cellStyle}>{run.business_date}</td>
+                                    <td style={cellStyle}>
+                                        {run.trigger_source} / {run.policy}
+                                        {run.policy_detail && <div style={{ fontSize: '12px', color: '#666' }}>{run.policy_detail}</div>}
+                                    </td>
+                                    <td style={cellStyle}>{new Date(run.started_at).toLocaleString()}</td>
+                                    <td style={cellStyle}>{run.finished_at ? new Date(run.finished_at).toLocaleString() : '-'}</td>
+                                    <td style={{ ...cellStyle, textAlign: 'right' }}>{run.rows_claimed ?? '-'}</td>
+                                    <td style={{ ...cellStyle, textAlign: 'right' }}>{formatAmount(run.total_amount)}</td>
+                                    <td style={{ ...cellStyle, textAlign: 'right' }}>{run.postback_count}</td>
+                                    <td style={{ ...cellStyle, color: STATUS_COLORS[run.status] || '#666', fontWeight: 'bold' }}>
+                                        {run.status}{run.attempts > 1 ? ` (attempt ${run.attempts})` : ''}
+                                        {run.error_message && <div style={{ fontSize: '12px', fontWeight: 'normal' }}>{run.error_message}</div>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ) : !error && !loading ? (
+                <p>No flush runs found.</p>
+            ) : null}
+
+            {selected && (
+                <div style={{ marginTop: '30px', padding: '20px', background: '#f8f9fa', borderRadius: '8px' }}>
+                    <h2 style={{ marginTop: 0 }}>
+                        Run #{selected.run.id}: {selected.run.status}, {formatAmount(selected.run.total_amount)}
+                    </h2>
+                    <p style={{ color: '#666', fontSize: '14px' }}>
+                        Business date {selected.run.business_date} ({selected.run.timezone}) · {selected.run.trigger_source} / {selected.run.policy}
+                        {selected.run.policy_detail ? ` (${selected.run.policy_detail})` : ''} · started {new Date(selected.run.started_at).toLocaleString()}
+                        {selected.run.finished_at ? `, finished ${new Date(selected.run.finished_at).toLocaleString()}` : ', still running'}
+                    </p>
+
+                    <h3>Cached Conversions Claimed ({selected.conversions.length})</h3>
+                    {selected.conversions.length > 0 ? (
+                        <table style={{ width: '100%', borderCollapse: 'collapse', background: 'white', fontSize: '14px' }}>
+                            <thead>
+                                <tr style={{ background: '#f8f9fa' }}>
+                                    <th style={headerStyle}>Cached Row</th>
+                                    <th style={headerStyle}>Clickid</th>
+                                    <th style={headerStyle}>Txid</th>
+                                    <th style={headerStyle}>Cache Key</th>
+                                    <th style={{ ...headerStyle, textAlign: 'right' }}>Amount</th>
+                                    <th style={headerStyle}>Cached At</th>
+                                    <th style={headerStyle}>Outcome</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {selected.conversions.map(conversion => (
+                                    <tr key={`${conversion.batch_id}-${conversion.cached_conversion_id}`}>
+                                        <td style={cellStyle}>#{conversion.cached_conversion_id}</td>
+                                        <td style={cellStyle}>{conversion.clickid}</td>
+                                        <td style={cellStyle}>{conversion.txid || '-'}</td>
+                                        <td style={cellStyle}>{conversion.cache_key}</td>
+                                        <td style={{ ...cellStyle, textAlign: 'right' }}>{formatAmount(conversion.amount)}</td>
+                                        <td style={cellStyle}>{conversion.cached_at ? new Date(conversion.cached_at).toLocaleString() : '-'}</td>
+                                        <td style={cellStyle}>{conversion.outcome}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    ) : (
+                        <p>No cached conversions were claimed.</p>
+                    )}
+
+                    <h3>Postbacks Sent ({selected.postbacks.length})</h3>
+                    {selected.postbacks.length > 0 ? (
+                        <table style={{ width: '100%', borderCollapse: 'collapse', background: 'white', fontSize: '14px' }}>
+                            <thead>
+                                <tr style={{ background: '#f8f9fa' }}>
+                                    <th style={headerStyle}>Postback</th>
+                                    <th style={headerStyle}>Destination</th>
+                                    <th style={headerStyle}>Clickid</th>
+                                    <th style={{ ...headerStyle, textAlign: 'right' }}>Amount</th>
+                                    <th style={headerStyle}>Attempt</th>
+                                    <th style={headerStyle}>Result</th>
+                                    <th style={headerStyle}>Sent At</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {selected.postbacks.map(postback => (
+                                    <tr key={postback.id}>
+                                        <td style={cellStyle}>
+                                            #{postback.id}
+                                            {postback.txid && <div style={{ fontSize: '12px', color: '#666' }}>txid {postback.txid}</div>}
+                                        </td>
+                                        <td style={cellStyle}>{postback.destination_name || (postback.destination_id ? `#${postback.destination_id}` : '-')}</td>
+                                        <td style={cellStyle}>{postback.clickid}</td>
+                                        <td style={{ ...cellStyle, textAlign: 'right' }}>{formatAmount(postback.amount)}</td>
+                                        <td style={cellStyle}>
+                                            {postback.attempt}
+                                            {postback.original_postback_id && <div style={{ fontSize: '12px', color: '#666' }}>retry of #{postback.original_postback_id}</div>}
+                                        </td>
+                                        <td style={{ ...cellStyle, color: postback.success ? '#28a745' : '#dc3545' }}>
+                                            {postback.success ? 'delivered' : 'failed'}
+                                            {postback.status_code ? ` (HTTP ${postback.status_code})` : ''}
+                                            {postback.error_message && <div style={{ fontSize: '12px' }}>{postback.error_message}</div>}
+                                        </td>
+                                        <td style={cellStyle}>{new Date(postback.created_at).toLocaleString()}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    ) : (
+                        <p>No postbacks were sent.</p>
+                    )}
+                </div>
+            )}
+
+            <footer style={{ marginTop: '30px', fontSize: '14px', color: '#666' }}>
+                <p>
+                    Visit <a href="/admin" style={{ color: '#0070f3' }}>Admin Dashboard</a> to trigger or preview a flush.
+                </p>
+            </footer>
+        </div>
+    );
+}
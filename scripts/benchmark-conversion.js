@@ -0,0 +1,154 @@
+// File: scripts/benchmark-conversion.js
+// Time /api/conversion against a local MySQL, request by request, in two modes:
+//   current  - the route as shipped: schema check memoized per process, one connection per request and
+//              the request's log events written in one INSERT before the response
+//   previous - the request path before: the schema DDL (the baseline migration, which initializeDatabase()
+//              ran on every request) in place of the memoized check, a pool checkout per query and one
+//              INSERT per log event
+// Database settings come from .env.local or, without --env-file, from variables already exported:
+//
+//   SANDBOX_MODE=true node --env-file=.env.local scripts/benchmark-conversion.js [--requests N] [--amount X]
+//
+// Every request is a real conversion below the cache threshold (default 200 per mode, $0.01 each), so it
+// writes cached rows and logs: use a disposable database. It refuses to run without SANDBOX_MODE so no
+// postback leaves the machine. The cached rows it left are removed at the end.
+import { performance } from 'perf_hooks';
+import { getPool, closePool } from '../lib/database.js';
+import { getCacheThreshold } from '../lib/settings.js';
+import { isSandboxEnvironment } from '../lib/sandbox.js';
+import { up as createBaselineSchema } from '../migrations/001_baseline_schema.js';
+import handler, { processConversion } from '../pages/api/conversion.js';
+
+const WARMUP_REQUESTS = 10;
+
+// The per-request initialization of the previous path, on its own pool connection as it used to be
+async function runSchemaDdl() {
+  const connection = await getPool().getConnection();
+
+  try {
+    await createBaselineSchema(connection);
+  } finally {
+    connection.release();
+  }
+}
+
+const MODES = {
+  current: (req, res) => handler(req, res),
+  previous: async (req, res) => {
+    const response = await processConversion(req, { initialize: runSchemaDdl });
+    res.status(response.status).send(response.body);
+  }
+};
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+
+  const value = parseFloat(args[index + 1]);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`--${name} expects a positive number`);
+  }
+  return value;
+}
+
+function createResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.send = body => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+// Milliseconds until the response was sent
+async function timeRequest(mode, query) {
+  const res = createResponse();
+  const startedAt = performance.now();
+
+  await MODES[mode]({ method: 'GET', query }, res);
+  const elapsed = performance.now() - startedAt;
+
+  // "1" is a cached conversion; anything else means the benchmark isn't measuring the cached path
+  if (res.body !== '1') {
+    throw new Error(`${mode} request for ${query.clickid} answered ${JSON.stringify(res.body)} (expected "1")`);
+  }
+
+  return elapsed;
+}
+
+function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+  return {
+    mean: samples.reduce((sum, value) => sum + value, 0) / samples.length,
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function formatRow(label, stats) {
+  const cells = ['mean', 'p50', 'p95', 'max'].map(key => stats[key].toFixed(1).padStart(8));
+  return `${label.padEnd(12)}${cells.join('')}`;
+}
+
+async function main() {
+  if (!isSandboxEnvironment()) {
+    throw new Error('Run the benchmark with SANDBOX_MODE=true against a disposable database');
+  }
+
+  const args = process.argv.slice(2);
+  const requests = Math.round(readOption(args, 'requests', 200));
+  const amount = readOption(args, 'amount', 0.01);
+
+  const threshold = await getCacheThreshold();
+  if (amount >= threshold) {
+    throw new Error(`--amount must stay below the cache threshold ($${threshold.toFixed(2)})`);
+  }
+
+  const prefix = `benchmark-${Date.now()}`;
+  const samples = { current: [], previous: [] };
+
+  try {
+    // Alternate the modes so both see the same cache size and server state
+    for (let i = 0; i < WARMUP_REQUESTS + requests; i++) {
+      for (const mode of Object.keys(MODES)) {
+        const elapsed = await timeRequest(mode, { clickid: `${prefix}-${mode}-${i}`, sum: String(amount) });
+
+        if (i >= WARMUP_REQUESTS) {
+          samples[mode].push(elapsed);
+        }
+      }
+    }
+  } finally {
+    const [result] = await getPool().execute(
+      'DELETE FROM cached_conversions WHERE clickid LIKE ? AND batch_id IS NULL',
+      [`${prefix}-%`]
+    );
+    console.log(`Removed ${result.affectedRows} cached rows created by the benchmark`);
+  }
+
+  console.log(`\n${requests} cached conversions of $${amount.toFixed(2)} per mode (${WARMUP_REQUESTS} warm-up requests not counted), ms until the response:`);
+  console.log(`${''.padEnd(12)}${['mean', 'p50', 'p95', 'max'].map(key => key.padStart(8)).join('')}`);
+
+  const stats = {};
+  for (const mode of Object.keys(MODES)) {
+    stats[mode] = summarize(samples[mode]);
+    console.log(formatRow(mode, stats[mode]));
+  }
+
+  console.log(`\nMedian time to response, previous / current: ${(stats.previous.p50 / stats.current.p50).toFixed(2)}`);
+}
+
+main()
+  .then(() => closePool())
+  .catch(async error => {
+    console.error('Benchmark failed:', error.message);
+    await closePool().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,78 @@
+// File: scripts/migrate.js
+// Apply or revert the schema migrations in migrations/. Database settings come from .env.local (the file
+// next dev reads) or, without --env-file, from variables already exported in the environment:
+//
+//   node --env-file=.env.local scripts/migrate.js [up] [--to N]
+//       apply pending migrations (up to version N)
+//   node --env-file=.env.local scripts/migrate.js status
+//       show applied and pending migrations
+//   node --env-file=.env.local scripts/migrate.js down [--steps N | --to N] --yes
+//       revert the last N migrations (default 1), or every one above version N; may drop data.
+//       The baseline (version 1) is never reverted.
+//
+// "npm run migrate" runs "up" with .env.local; a deploy that exports the variables instead runs
+// "node scripts/migrate.js". Run it on every deploy before the new release takes traffic: the app
+// refuses ingestion while migrations are pending.
+import { closePool } from '../lib/database.js';
+import { getSchemaStatus, migrateUp, migrateDown } from '../lib/migrations.js';
+
+function readOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return null;
+
+  const value = parseInt(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} expects a non-negative number`);
+  }
+  return value;
+}
+
+async function printStatus() {
+  const status = await getSchemaStatus();
+
+  console.log(`Schema version ${status.current} (this release needs ${status.latest})`);
+  for (const row of status.applied) {
+    console.log(`  applied  ${row.name} (${new Date(row.applied_at).toISOString()})`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  pending  ${migration.name}`);
+  }
+  if (status.upToDate) {
+    console.log('Schema is up to date');
+  }
+}
+
+async function main() {
+  const [first, ...rest] = process.argv.slice(2);
+  // Options alone ("npm run migrate -- --to 3") mean "up"
+  const [command, args] = !first || first.startsWith('--') ? ['up', process.argv.slice(2)] : [first, rest];
+
+  if (command === 'status') {
+    await printStatus();
+  } else if (command === 'up') {
+    const to = readOption(args, 'to');
+    const applied = await migrateUp(to === null ? {} : { to });
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+    await printStatus();
+  } else if (command === 'down') {
+    if (!args.includes('--yes')) {
+      throw new Error('Reverting migrations may drop tables and data; add --yes to confirm');
+    }
+
+    const to = readOption(args, 'to');
+    const steps = readOption(args, 'steps');
+    const reverted = await migrateDown(to === null ? { steps: steps ?? 1 } : { to });
+    console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+    await printStatus();
+  } else {
+    throw new Error(`Unknown command "${command}": use status, up or down`);
+  }
+}
+
+main()
+  .then(() => closePool())
+  .catch(async error => {
+    console.error('Migration failed:', error.message);
+    await closePool().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,110 @@
+// File: scripts/scheduler.js
+// Standalone runtime for deployments without Vercel Cron. Every tick evaluates the flush policies
+// (scheduled windows, cache threshold, max cache age) and drains the postback outbox, in-process.
+// Database settings come from .env.local (as with "npm run scheduler") or, without --env-file, from
+// variables already exported in the environment:
+//
+//   node --env-file=.env.local scripts/scheduler.js
+//
+// SCHEDULER_TICK_SECONDS sets the tick interval (default 60). Ticks never overlap: the next one is
+// scheduled once the previous one has finished. SIGINT / SIGTERM stop the loop, let the running tick
+// finish and close the database pool; a second signal exits immediately.
+import { initializeDatabase, logConversion, closePool } from '../lib/database.js';
+import { checkAndRunDailyPostback } from '../lib/scheduler.js';
+import { processOutbox, logOutboxSummary } from '../lib/postback.js';
+
+const TICK_SECONDS = Math.max(5, parseInt(process.env.SCHEDULER_TICK_SECONDS) || 60);
+
+let stopping = false;
+let timer = null;
+let currentTick = null;
+
+async function tick() {
+  const flush = await checkAndRunDailyPostback();
+  if (flush.fired > 0 || !flush.success) {
+    console.log(`Flush policies: ${flush.message || flush.error}`);
+  }
+
+  try {
+    const summary = await processOutbox();
+    await logOutboxSummary(summary);
+
+    if (summary.processed > 0) {
+      console.log(`Outbox: processed ${summary.processed}, sent ${summary.sent}, rescheduled ${summary.retrying}, failed ${summary.failed}`);
+    }
+  } catch (error) {
+    console.error('Outbox worker error:', error);
+
+    await logConversion({
+      clickid: 'outbox-worker',
+      action: 'outbox_error',
+      message: `Outbox worker error: ${error.message}`
+    });
+  }
+}
+
+function runTick() {
+  timer = null;
+  currentTick = tick()
+    .catch(error => console.error('Scheduler tick failed:', error))
+    .finally(() => {
+      currentTick = null;
+      if (!stopping) {
+        timer = setTimeout(runTick, TICK_SECONDS * 1000);
+      }
+    });
+}
+
+async function shutdown(signal) {
+  if (stopping) {
+    console.log(`${signal} received again, exiting without waiting for the running tick`);
+    process.exit(1);
+  }
+
+  stopping = true;
+  console.log(`${signal} received, shutting down scheduler`);
+
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  if (currentTick) {
+    await currentTick;
+  }
+
+  try {
+    await logConversion({
+      clickid: 'auto-scheduler',
+      action: 'scheduler_stopped',
+      message: `In-process scheduler stopped (${signal})`
+    });
+  } catch (error) {
+    console.error('Failed to log scheduler shutdown:', error);
+  }
+
+  await closePool();
+  process.exit(0);
+}
+
+async function main() {
+  await initializeDatabase();
+
+  await logConversion({
+    clickid: 'auto-scheduler',
+    action: 'scheduler_started',
+    message: `In-process scheduler started (tick every ${TICK_SECONDS}s)`
+  });
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  console.log(`Scheduler running, tick every ${TICK_SECONDS}s`);
+  runTick();
+}
+
+main().catch(async error => {
+  console.error('Scheduler failed to start:', error);
+  await closePool().catch(() => {});
+  process.exit(1);
+});